@@ -0,0 +1,117 @@
+const counters = require('./counters');
+const { hasMessage, codeForText } = require('./locales');
+
+// Anonymized per-day aggregates: no images, boxes or landmarks, only
+// counters for score buckets, verdicts, faces per image and timing.
+
+const NAME = 'analytics';
+const SCORE_BUCKETS = Array.from({ length: 10 }, (_, i) => `${i * 10}-${i === 9 ? 100 : i * 10 + 9}`);
+const MAX_FACES_BUCKET = 5;
+
+function scoreBucket(score) {
+  return SCORE_BUCKETS[Math.max(0, Math.min(9, Math.floor(score / 10)))];
+}
+
+function facesBucket(count) {
+  return count >= MAX_FACES_BUCKET ? `${MAX_FACES_BUCKET}+` : String(count);
+}
+
+function increment(fields, field, amount = 1) {
+  fields[field] = (fields[field] || 0) + amount;
+}
+
+async function recordAnalysis({ people, processingTime, profile }) {
+  const fields = {
+    images: 1,
+    faces: people.length,
+    processingMs: processingTime,
+    [`profile:${profile}`]: 1,
+    [`facesPerImage:${facesBucket(people.length)}`]: 1
+  };
+  
+  people.forEach((person) => {
+    if (person.score !== null) increment(fields, `score:${scoreBucket(person.score)}`);
+    increment(fields, `verdict:${person.verdictCode}`);
+    if (person.isGenuine) increment(fields, 'genuine');
+  });
+  
+  try {
+    await counters.incrementFields(NAME, fields);
+  } catch (error) {
+    console.error('❌ Failed to record analytics:', error);
+  }
+}
+
+function group(fields, prefix) {
+  const result = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field.startsWith(prefix)) {
+      result[field.slice(prefix.length)] = value;
+    }
+  });
+  return result;
+}
+
+// Days recorded before verdict codes were keyed by the English verdict
+// text; their counts are folded into the matching codes. Text no catalog
+// knows (a customized verdict) is reported as it was stored.
+function verdictCounts(fields) {
+  const verdicts = {};
+  Object.entries(group(fields, 'verdict:')).forEach(([key, value]) => {
+    const code = hasMessage('verdicts', key) ? key : codeForText('verdicts', key) || key;
+    increment(verdicts, code, value);
+  });
+  return verdicts;
+}
+
+function avgProcessingTime(fields) {
+  return fields.images ? Math.round(fields.processingMs / fields.images) : 0;
+}
+
+async function getDaily(days) {
+  const entries = await counters.getFields(NAME, days);
+  
+  return entries.map(({ date, fields }) => ({
+    date,
+    images: fields.images || 0,
+    faces: fields.faces || 0,
+    genuine: fields.genuine || 0,
+    avgProcessingTime: avgProcessingTime(fields)
+  }));
+}
+
+async function getDistribution(days) {
+  const entries = await counters.getFields(NAME, days);
+  const totals = {};
+  
+  entries.forEach(({ fields }) => {
+    Object.entries(fields).forEach(([field, value]) => increment(totals, field, value));
+  });
+  
+  const scores = {};
+  SCORE_BUCKETS.forEach((bucket) => { scores[bucket] = 0; });
+  Object.assign(scores, group(totals, 'score:'));
+  
+  const faces = totals.faces || 0;
+  
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    images: totals.images || 0,
+    faces,
+    genuineRate: faces > 0 ? Math.round(((totals.genuine || 0) / faces) * 1000) / 1000 : 0,
+    avgProcessingTime: avgProcessingTime(totals),
+    scores,
+    verdicts: verdictCounts(totals),
+    facesPerImage: group(totals, 'facesPerImage:'),
+    profiles: group(totals, 'profile:')
+  };
+}
+
+module.exports = {
+  SCORE_BUCKETS,
+  scoreBucket,
+  recordAnalysis,
+  getDaily,
+  getDistribution
+};
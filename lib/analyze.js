@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError, sendError } = require('./errors');
+const { checkImageType, fingerprintImage } = require('./image');
+const { readImageInput } = require('./upload');
+const { DETAIL_LEVELS, getProfile, listProfiles } = require('./scoring');
+const { resolveDetector, detectorKey } = require('./detector');
+const { resolveCalibration } = require('./calibration');
+const scoringSettings = require('./profiles/settings');
+const { resolveLocale, setLocaleHeaders, localizePeople } = require('./locales');
+const pool = require('./pool');
+const { stats, recordPeople } = require('./stats');
+const { recordAnalysis } = require('./analytics');
+const metrics = require('./metrics');
+const cache = require('./cache');
+
+function hashImage(data) {
+  return crypto.createHash('md5').update(data).digest('hex');
+}
+
+// Request override (?profile= or body.profile) wins, then the deployment
+// setting, then the route family's own default.
+function resolveProfileName(req, defaultProfile) {
+  return (req.query && req.query.profile) ||
+    (req.body && req.body.profile) ||
+    config.scoringProfile ||
+    defaultProfile;
+}
+
+function resolveProfile(req, defaultProfile) {
+  const profileName = resolveProfileName(req, defaultProfile);
+  const profile = getProfile(profileName);
+  
+  if (!profile) {
+    throw new HttpError(400, 'Unknown scoring profile', `Available profiles: ${listProfiles().join(', ')}`);
+  }
+  
+  return profile;
+}
+
+// ?detail=full (or body.detail) opts into landmarks, expression
+// probabilities, detection confidence and metric ratios.
+function resolveDetail(req) {
+  const detail = (req.query && req.query.detail) || (req.body && req.body.detail) || 'basic';
+  
+  if (!DETAIL_LEVELS.includes(detail)) {
+    throw new HttpError(400, 'Unknown detail level', `Available detail levels: ${DETAIL_LEVELS.join(', ')}`);
+  }
+  
+  return detail;
+}
+
+function resolveAutoRotate(req) {
+  const value = (req.query && req.query.autoRotate) || (req.body && req.body.autoRotate);
+  
+  if (value === undefined || value === '') return config.orientation.retry;
+  return value === true || value === 'true' || value === '1';
+}
+
+// Detects and scores faces on a validated image in the inference pool and
+// records counters, analytics and stage metrics. Boxes and landmarks are
+// mapped back to the image's own orientation when a rotation retry found
+// the faces. With options.render ({ landmarks, format }) the result also
+// carries the annotated image as `output`, and with options.descriptors
+// one recognition descriptor per person as `descriptors`. Stage durations
+// are added to options.timings when given. options.settings pins the
+// scoring config (the active one by default); its version is returned as
+// scoringVersion.
+// options: { route, startTime, detail, detector, baseline, autoRotate, render, descriptors, timings, settings }.
+async function runAnalysis(buffer, type, profile, options = {}) {
+  const { route = 'unknown', startTime = Date.now(), detail = 'basic', baseline = null, render = null, descriptors = false } = options;
+  const autoRotate = options.autoRotate === undefined ? config.orientation.retry : options.autoRotate;
+  const detector = options.detector || resolveDetector({}, profile);
+  const settings = options.settings || scoringSettings.current();
+  
+  console.log('🔍 Detecting faces...');
+  const result = await pool.run(render ? 'annotate' : 'analyze', {
+    buffer,
+    type,
+    profile: profile.name,
+    detail,
+    detector,
+    baseline,
+    autoRotate,
+    render,
+    descriptors,
+    settings
+  });
+  const { faces, people, rotation, timings } = result;
+  metrics.recordStages(route, timings);
+  metrics.recordFaces(route, faces);
+  if (options.timings) Object.assign(options.timings, timings);
+  
+  const processingTime = Date.now() - startTime;
+  stats.totalProcessingTime += processingTime;
+  
+  console.log(`✅ Found ${faces} face(s) in ${processingTime}ms`);
+  
+  if (faces === 0) {
+    console.log('⚠️  No faces detected');
+  }
+  
+  await recordAnalysis({ people, processingTime, profile: profile.name });
+  if (people.length > 0) {
+    const totals = await recordPeople(people.length);
+    if (totals) {
+      console.log(`📊 Total count: ${totals.total} (+${people.length})`);
+    }
+  }
+  
+  return { people, rotation, output: result.output, descriptors: result.descriptors, scoringVersion: settings.version };
+}
+
+// Runs one image through validation, the cache and the detection pipeline.
+// Cache entries are keyed on the image's pixel fingerprint within a scope
+// of every option that changes the result, starting with the profile.
+// Shared by the single-image and batch routes. options.route labels the
+// Prometheus metrics; options.detail picks the response detail level,
+// options.detector the resolveDetector() settings, options.baseline a
+// calibration baseline, options.autoRotate the rotation retry and
+// options.settings the scoring config. Stage durations of a cache miss
+// are added to options.timings. With options.descriptors the result also
+// has one recognition descriptor per person; those are never cached, so
+// such a request always runs the pipeline (and still caches the scores).
+async function analyzeImage(buffer, declaredType, profile, options = {}) {
+  const { route = 'unknown', detail = 'basic', baseline = null } = options;
+  const autoRotate = options.autoRotate === undefined ? config.orientation.retry : options.autoRotate;
+  const detector = options.detector || resolveDetector({}, profile);
+  const settings = options.settings || scoringSettings.current();
+  const startTime = Date.now();
+  
+  console.log(`📊 Image size: ${Math.round(buffer.length / 1024)}KB, profile: ${profile.name}`);
+  
+  const type = checkImageType(buffer, declaredType);
+  const print = await fingerprintImage(buffer);
+  const calibrationKey = baseline ? hashImage(JSON.stringify(baseline)) : 'uncalibrated';
+  const scope = `${profile.name}:${settings.hash}:${detail}:${detectorKey(detector)}:${calibrationKey}:${autoRotate ? 'rotate' : 'upright'}`;
+  
+  if (!options.descriptors) {
+    const cached = await cache.lookup(scope, print);
+    
+    if (cached) {
+      stats.cacheHits++;
+      metrics.recordCache(route, true);
+      console.log(`✅ Cache hit${cached.match === 'near' ? ' (near duplicate)' : ''}! (${stats.cacheHits}/${stats.requestCount})`);
+      return cached.value;
+    }
+    
+    metrics.recordCache(route, false);
+  }
+  
+  console.log('🖼️  Processing image...');
+  const { people, rotation, descriptors } = await runAnalysis(buffer, type, profile, {
+    route,
+    startTime,
+    detail,
+    detector,
+    baseline,
+    autoRotate,
+    descriptors: Boolean(options.descriptors),
+    timings: options.timings,
+    settings
+  });
+  const result = { people, profile: profile.name, scoringVersion: settings.version, detector };
+  if (rotation) {
+    result.rotation = rotation;
+  }
+  
+  if (people.length > 0) {
+    await cache.save(scope, print, result);
+    console.log(`💾 Cached result`);
+  }
+  
+  return options.descriptors ? { ...result, descriptors: descriptors || [] } : result;
+}
+
+function logFailure(error, startTime) {
+  const processingTime = Date.now() - startTime;
+  if (error instanceof HttpError) {
+    console.log(`❌ Rejected request after ${processingTime}ms: ${error.message}`);
+  } else {
+    console.error(`❌ Analysis error after ${processingTime}ms:`, error);
+  }
+}
+
+function createAnalyzeHandler(defaultProfile) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    stats.requestCount++;
+    
+    console.log(`📸 Analysis request #${stats.requestCount} from ${req.ip}`);
+    
+    try {
+      const { buffer, declaredType } = readImageInput(req);
+      const profile = resolveProfile(req, defaultProfile);
+      const detail = resolveDetail(req);
+      const detector = resolveDetector(req, profile);
+      const baseline = resolveCalibration(req, profile);
+      const autoRotate = resolveAutoRotate(req);
+      const locale = resolveLocale(req);
+      const timings = {};
+      
+      const result = await analyzeImage(buffer, declaredType, profile, {
+        route: metrics.routeLabel(req),
+        detail,
+        detector,
+        baseline,
+        autoRotate,
+        timings
+      });
+      
+      if (Object.keys(timings).length > 0) {
+        res.set('Server-Timing', metrics.serverTiming(timings));
+      }
+      setLocaleHeaders(res, locale);
+      res.json({ ...result, people: localizePeople(result.people, locale) });
+      
+    } catch (error) {
+      logFailure(error, startTime);
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  hashImage,
+  resolveProfileName,
+  resolveProfile,
+  resolveDetail,
+  resolveAutoRotate,
+  runAnalysis,
+  analyzeImage,
+  logFailure,
+  createAnalyzeHandler
+};
@@ -0,0 +1,69 @@
+const { HttpError, sendError } = require('./errors');
+const { checkImageType } = require('./image');
+const { readImageInput } = require('./upload');
+const { resolveProfile, resolveAutoRotate, runAnalysis, logFailure } = require('./analyze');
+const { resolveDetector } = require('./detector');
+const { resolveCalibration } = require('./calibration');
+const { resolveLocale, setLocaleHeaders } = require('./locales');
+const { stats } = require('./stats');
+const metrics = require('./metrics');
+
+const FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg'
+};
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function createAnnotatedHandler(defaultProfile) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    stats.requestCount++;
+    
+    console.log(`🖍️  Annotated request #${stats.requestCount} from ${req.ip}`);
+    
+    try {
+      const options = { ...(Buffer.isBuffer(req.body) ? {} : req.body), ...req.query };
+      const format = FORMATS[String(options.format || 'png').toLowerCase()];
+      
+      if (!format) {
+        throw new HttpError(400, 'Invalid format', `Expected one of ${Object.keys(FORMATS).join(', ')}`);
+      }
+      
+      const { buffer, declaredType } = readImageInput(req);
+      const profile = resolveProfile(req, defaultProfile);
+      const detector = resolveDetector(req, profile);
+      const baseline = resolveCalibration(req, profile);
+      const type = checkImageType(buffer, declaredType);
+      const locale = resolveLocale(req);
+      const timings = {};
+      
+      const { people, output, scoringVersion } = await runAnalysis(buffer, type, profile, {
+        route: metrics.routeLabel(req),
+        startTime,
+        detector,
+        baseline,
+        autoRotate: resolveAutoRotate(req),
+        render: { landmarks: isTrue(options.landmarks), format, locale },
+        timings
+      });
+      
+      res.set('X-Faces-Detected', String(people.length));
+      res.set('X-Scoring-Version', scoringVersion);
+      res.set('Server-Timing', metrics.serverTiming(timings));
+      setLocaleHeaders(res, locale);
+      res.type(format).send(output);
+      
+    } catch (error) {
+      logFailure(error, startTime);
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  createAnnotatedHandler
+};
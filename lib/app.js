@@ -0,0 +1,157 @@
+const express = require('express');
+const cors = require('cors');
+const config = require('./config');
+const pool = require('./pool');
+const { listProfiles } = require('./scoring');
+const scoringSettings = require('./profiles/settings');
+const { listLocales } = require('./locales');
+const { listDetectors } = require('./detector');
+const counters = require('./counters');
+const analytics = require('./analytics');
+const { dayKey, parseDay, parseRange } = require('./dates');
+const { summary } = require('./stats');
+const { httpMetrics, metricsHandler } = require('./metrics');
+const { createAnalyzeHandler } = require('./analyze');
+const { getKeys, authenticate, rateLimitByKey, quota, usageHandler } = require('./auth');
+const { HttpError, sendError, asyncRoute } = require('./errors');
+const { createAnnotatedHandler } = require('./annotate');
+const { createBatchHandler, batchCost } = require('./batch');
+const { createSequenceHandler, sequenceCost } = require('./sequence');
+const { createCalibrateHandler } = require('./calibrate');
+const { createSessionHandler, submitEntryHandler, leaderboardHandler, deleteSessionHandler } = require('./sessions');
+const { activeSessions } = require('./stream');
+const { imageUpload, batchUpload, sequenceUpload } = require('./upload');
+const { deprecated, openapiHandler } = require('./openapi');
+const v1 = require('./v1');
+
+const app = express();
+
+app.use(httpMetrics);
+
+app.use(cors({
+  origin: '*',
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Calibration-Token', 'X-Session-Token'],
+  exposedHeaders: ['Deprecation', 'Sunset', 'Link'],
+  credentials: false
+}));
+
+app.options('*', cors());
+
+getKeys();
+app.use(['/analyze', '/api/analyze', '/calibrate', '/sessions', '/usage',
+  '/v1/analyze', '/v1/calibrate', '/v1/sessions', '/v1/usage'], authenticate);
+app.use(['/analyze', '/api/analyze', '/calibrate', '/sessions',
+  '/v1/analyze', '/v1/calibrate', '/v1/sessions'], rateLimitByKey);
+app.use(['/analyze/batch', '/v1/analyze/batch'], express.json({ limit: config.batch.jsonLimit }));
+app.use(['/analyze/sequence', '/v1/analyze/sequence'], express.json({ limit: config.sequence.jsonLimit }));
+app.use(express.json({ limit: config.jsonLimit }));
+
+// The versioned API and its description
+app.use('/v1', v1);
+app.get('/openapi.json', openapiHandler);
+
+// The unversioned routes other than /metrics and /health are deprecated
+// aliases of /v1 routes: same handlers and legacy response shapes, plus
+// Deprecation and Link headers.
+app.get('/', deprecated('/v1'), asyncRoute(async (req, res) => {
+  const [total, today] = await Promise.all([counters.getTotal(), counters.getDay()]);
+  res.json({ 
+    status: 'ok', 
+    message: 'RealSmile API Server',
+    modelsLoaded: pool.status().modelsLoaded,
+    profiles: listProfiles(),
+    scoringVersion: scoringSettings.current().version,
+    detectors: listDetectors(),
+    languages: listLocales(),
+    totalAnalyses: total,
+    dailyAnalyses: config.dailyCountBaseline + today,
+    streamSessions: activeSessions(),
+    stats: summary()
+  });
+}));
+
+app.get('/metrics', asyncRoute(metricsHandler));
+
+// Answered on the main thread even while every worker is busy.
+app.get('/health', (req, res) => {
+  const { modelsLoaded, modelSource, ...workers } = pool.status();
+  res.json({ status: 'healthy', modelsLoaded, modelSource, workers });
+});
+
+// Classic routes (originally server.js)
+app.get('/count', deprecated(), asyncRoute(async (req, res) => {
+  res.json({ count: await counters.getTotal() });
+}));
+
+app.post('/count/increment', deprecated(), asyncRoute(async (req, res) => {
+  const { total } = await counters.increment(1);
+  console.log(`📊 Count incremented to: ${total}`);
+  res.json({ count: total, success: true });
+}));
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaults to the last 30 days
+app.get('/count/history', deprecated(), asyncRoute(async (req, res) => {
+  const range = parseRange(req.query);
+  const [total, days] = await Promise.all([counters.getTotal(), counters.getHistory(range)]);
+  res.json({ total, days });
+}));
+
+app.post('/analyze', deprecated(), imageUpload, quota(), createAnalyzeHandler('classic'));
+app.post('/analyze/annotated', deprecated(), imageUpload, quota(), createAnnotatedHandler('classic'));
+app.post('/analyze/batch', deprecated(), batchUpload, quota(batchCost), createBatchHandler('classic'));
+app.post('/analyze/sequence', deprecated(), sequenceUpload, quota(sequenceCost), createSequenceHandler('classic'));
+
+// Neutral-face baseline; pass the returned token to later analyze calls
+app.post('/calibrate', deprecated(), imageUpload, quota(), createCalibrateHandler());
+
+// Event leaderboards
+app.post('/sessions', deprecated(), createSessionHandler);
+app.post('/sessions/:id/entries', deprecated(), imageUpload, quota(), submitEntryHandler);
+app.get('/sessions/:id/leaderboard', deprecated(), leaderboardHandler);
+app.delete('/sessions/:id', deprecated(), deleteSessionHandler);
+
+// Analytics (?from=YYYY-MM-DD&to=YYYY-MM-DD, defaults to the last 30 days)
+app.get('/stats/daily', deprecated(), asyncRoute(async (req, res) => {
+  res.json({ days: await analytics.getDaily(parseRange(req.query)) });
+}));
+
+app.get('/stats/distribution', deprecated(), asyncRoute(async (req, res) => {
+  res.json(await analytics.getDistribution(parseRange(req.query)));
+}));
+
+// v2 routes (originally railway-backend.js)
+app.get('/api/counter', deprecated('/v1/count'), asyncRoute(async (req, res) => {
+  const date = req.query.date ? parseDay(req.query.date) : new Date();
+  
+  if (!date) {
+    throw new HttpError(400, 'Invalid date', 'Use date as YYYY-MM-DD');
+  }
+  
+  const count = await counters.getDay(dayKey(date));
+  res.json({ 
+    count: config.dailyCountBaseline + count,
+    date: date.toDateString(),
+    day: dayKey(date)
+  });
+}));
+
+app.post('/api/analyze', deprecated('/v1/analyze?profile=v2'), imageUpload, quota(), createAnalyzeHandler('v2'));
+
+// API key usage (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/usage', deprecated(), asyncRoute(usageHandler));
+app.get('/usage/:id', deprecated(), asyncRoute(usageHandler));
+
+// Body parser and upload failures (malformed JSON, oversized payloads) and
+// anything thrown from an asyncRoute
+app.use((err, req, res, next) => {
+  if (!(err instanceof HttpError) && err.status >= 400 && err.status < 500) {
+    err = new HttpError(err.status, err.status === 413 ? 'Payload too large' : 'Invalid request', err.message);
+  }
+  if (!(err instanceof HttpError)) {
+    console.error('❌ Unhandled error:', err);
+  }
+  sendError(res, err, 'Internal server error');
+});
+
+module.exports = app;
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const config = require('./config');
+const counters = require('./counters');
+const { HttpError, sendError } = require('./errors');
+const { dayKey, parseRange } = require('./dates');
+
+const USAGE = 'usage';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Keys live in a local JSON file ({ "keys": [...] }). Each entry needs an
+// id and either a plaintext "key" or its sha256 "keyHash"; only hashes are
+// kept in memory.
+function loadKeys(file = config.auth.keysFile) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+  
+  const { keys = [] } = JSON.parse(raw);
+  const byHash = new Map();
+  
+  keys.forEach((entry, index) => {
+    if (!entry.id || !(entry.key || entry.keyHash)) {
+      throw new Error(`API key #${index} in ${file} needs an "id" and a "key" or "keyHash"`);
+    }
+    
+    byHash.set(entry.keyHash || hashKey(entry.key), {
+      id: String(entry.id),
+      name: entry.name || String(entry.id),
+      admin: Boolean(entry.admin),
+      dailyQuota: entry.dailyQuota || null,
+      rateLimit: {
+        windowMs: (entry.rateLimit && entry.rateLimit.windowMs) || config.rateLimit.windowMs,
+        max: (entry.rateLimit && entry.rateLimit.max) || config.rateLimit.max
+      }
+    });
+  });
+  
+  return byHash;
+}
+
+let keys = null;
+const keyLimiters = new Map();
+const keyLimitStores = new Map();
+
+// Loads the key file once and builds each key's rate limiter up front
+// (express-rate-limit must not be created inside a request handler).
+function getKeys() {
+  if (!keys) {
+    keys = loadKeys();
+    keys.forEach((apiKey) => keyLimiters.set(apiKey.id, createKeyLimiter(apiKey)));
+    console.log(`🔑 Loaded ${keys.size} API key(s)`);
+  }
+  return keys;
+}
+
+function readPresentedKey(headers) {
+  const header = headers.authorization;
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+  return headers['x-api-key'] || null;
+}
+
+function findKey(presented) {
+  return getKeys().get(hashKey(presented)) || null;
+}
+
+// Sets req.apiKey (null for anonymous callers). A key that is presented but
+// unknown is always rejected rather than silently downgraded to anonymous.
+function authenticate(req, res, next) {
+  const presented = readPresentedKey(req.headers);
+  
+  if (presented) {
+    req.apiKey = findKey(presented);
+    if (!req.apiKey) {
+      return sendError(res, new HttpError(401, 'Invalid API key', 'The API key was not recognized'));
+    }
+    return next();
+  }
+  
+  req.apiKey = null;
+  if (!config.auth.anonymousAccess) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, new HttpError(401, 'API key required', 'Send the key as "Authorization: Bearer <key>" or "X-API-Key"'));
+  }
+  next();
+}
+
+const limitMessage = { error: 'Too many requests', message: 'Rate limit exceeded, please try again later' };
+
+// The limiters' stores are kept so hits from outside express (stream
+// frames) can be counted against the same windows.
+const anonymousLimitStore = new rateLimit.MemoryStore();
+
+const anonymousLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  store: anonymousLimitStore,
+  message: limitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function createKeyLimiter(apiKey) {
+  const store = new rateLimit.MemoryStore();
+  keyLimitStores.set(apiKey.id, store);
+  
+  return rateLimit({
+    windowMs: apiKey.rateLimit.windowMs,
+    max: apiKey.rateLimit.max,
+    keyGenerator: () => apiKey.id,
+    store,
+    message: limitMessage,
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+}
+
+// Keyed callers get their own window; everyone else shares the per-IP one.
+function rateLimitByKey(req, res, next) {
+  return (req.apiKey ? keyLimiters.get(req.apiKey.id) : anonymousLimiter)(req, res, next);
+}
+
+// Counts one hit in the window rateLimitByKey would use for a request from
+// `ip` with `apiKey`, and throws a 429 once that window is spent.
+async function takeRateLimit(apiKey, ip) {
+  const store = apiKey ? keyLimitStores.get(apiKey.id) : anonymousLimitStore;
+  const max = apiKey ? apiKey.rateLimit.max : config.rateLimit.max;
+  const { totalHits, resetTime } = await store.increment(apiKey ? apiKey.id : ip);
+  
+  if (totalHits > max) {
+    const error = new HttpError(429, limitMessage.error, limitMessage.message);
+    error.retryAfter = Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+    throw error;
+  }
+}
+
+async function usedToday(apiKey) {
+  const [{ fields }] = await counters.getFields(USAGE, [dayKey()]);
+  return fields[`${apiKey.id}:images`] || 0;
+}
+
+// What is left of the key's daily quota, or null when it has none.
+async function remainingToday(apiKey) {
+  if (!apiKey.dailyQuota) return null;
+  return Math.max(0, apiKey.dailyQuota - await usedToday(apiKey));
+}
+
+// Records one request of `amount` images against the key and resolves to
+// what is left of its daily quota (null when it has none). The usage is
+// added first and the new total checked, so concurrent requests can never
+// both slip under the limit; an overdraw is taken back and rejected with a
+// 429.
+async function charge(apiKey, amount) {
+  const images = `${apiKey.id}:images`;
+  const totals = await counters.incrementFields(USAGE, {
+    [`${apiKey.id}:requests`]: 1,
+    [images]: amount
+  });
+  
+  if (!apiKey.dailyQuota) return null;
+  
+  const used = totals[images];
+  if (used > apiKey.dailyQuota) {
+    await counters.incrementFields(USAGE, {
+      [`${apiKey.id}:requests`]: -1,
+      [images]: -amount
+    });
+    const remaining = Math.max(0, apiKey.dailyQuota - (used - amount));
+    throw new HttpError(429, 'Daily quota exceeded', `Key "${apiKey.id}" has ${remaining} of ${apiKey.dailyQuota} images left today`);
+  }
+  return apiKey.dailyQuota - used;
+}
+
+// Statuses meaning the upload was not a usable image (or the request was
+// malformed). Like a body the contract rejects, such a request costs
+// nothing: its charge is refunded.
+const REFUND_STATUSES = [400, 413, 415];
+
+// Charges `cost(req)` images against the key's daily quota and records
+// usage. `cost` may return a promise, so it can read the upload first; an
+// HttpError it throws is sent before anything is charged. Anonymous
+// requests pass through untouched.
+function quota(cost = () => 1) {
+  return async (req, res, next) => {
+    const apiKey = req.apiKey;
+    if (!apiKey) return next();
+    
+    try {
+      const amount = await cost(req);
+      
+      if (apiKey.dailyQuota) {
+        res.set('X-Quota-Limit', String(apiKey.dailyQuota));
+      }
+      
+      const remaining = await charge(apiKey, amount).catch((error) => {
+        if (error.status === 429) res.set('X-Quota-Remaining', '0');
+        throw error;
+      });
+      
+      if (remaining !== null) {
+        res.set('X-Quota-Remaining', String(remaining));
+      }
+      
+      req.quotaCharge = { apiKey, images: amount, remaining };
+      res.on('finish', () => {
+        if (!REFUND_STATUSES.includes(res.statusCode)) return;
+        refund(req, res, amount, true)
+          .catch((error) => console.error('❌ Failed to refund quota:', error.message));
+      });
+      next();
+    } catch (error) {
+      sendError(res, error, 'Internal server error');
+    }
+  };
+}
+
+// Gives back up to `images` of what quota() charged for this request, and
+// the request itself when `whole` is set. No-op for anonymous requests.
+async function refund(req, res, images, whole = false) {
+  const billed = req.quotaCharge;
+  if (!billed) return;
+  
+  const amount = Math.min(images, billed.images);
+  if (amount <= 0 && !whole) return;
+  billed.images -= amount;
+  
+  await counters.incrementFields(USAGE, {
+    [`${billed.apiKey.id}:images`]: -amount,
+    ...(whole ? { [`${billed.apiKey.id}:requests`]: -1 } : {})
+  });
+  
+  if (billed.remaining !== null) {
+    billed.remaining += amount;
+    if (!res.headersSent) res.set('X-Quota-Remaining', String(billed.remaining));
+  }
+}
+
+// Refunds one image for each of `errors` (per-item failures of a batch or
+// sequence) that says the item was not a usable image.
+function refundRejected(req, res, errors) {
+  const rejected = errors.filter((error) => error instanceof HttpError && REFUND_STATUSES.includes(error.status));
+  return refund(req, res, rejected.length);
+}
+
+async function usageReport(apiKey, days) {
+  const entries = await counters.getFields(USAGE, days);
+  
+  return {
+    key: apiKey.id,
+    name: apiKey.name,
+    rateLimit: apiKey.rateLimit,
+    dailyQuota: apiKey.dailyQuota,
+    remainingToday: await remainingToday(apiKey),
+    days: entries.map(({ date, fields }) => ({
+      date,
+      requests: fields[`${apiKey.id}:requests`] || 0,
+      images: fields[`${apiKey.id}:images`] || 0
+    }))
+  };
+}
+
+// GET /usage reports on the caller's own key; GET /usage/:id needs an
+// admin key.
+async function usageHandler(req, res) {
+  if (!req.apiKey) {
+    throw new HttpError(401, 'API key required', 'Usage reports are only available to API keys');
+  }
+  
+  let apiKey = req.apiKey;
+  if (req.params.id && req.params.id !== apiKey.id) {
+    if (!apiKey.admin) {
+      throw new HttpError(403, 'Forbidden', 'Only admin keys can read other keys\' usage');
+    }
+    apiKey = [...getKeys().values()].find((entry) => entry.id === req.params.id);
+    if (!apiKey) {
+      throw new HttpError(404, 'Unknown API key', `No key with id "${req.params.id}"`);
+    }
+  }
+  
+  res.json(await usageReport(apiKey, parseRange(req.query)));
+}
+
+module.exports = {
+  hashKey,
+  loadKeys,
+  getKeys,
+  findKey,
+  readPresentedKey,
+  authenticate,
+  rateLimitByKey,
+  takeRateLimit,
+  remainingToday,
+  charge,
+  quota,
+  refundRejected,
+  usageHandler
+};
@@ -0,0 +1,180 @@
+const config = require('./config');
+const { HttpError, sendError } = require('./errors');
+const { readFileImage, readBase64Image } = require('./upload');
+const { resolveDetector } = require('./detector');
+const { resolveCalibration } = require('./calibration');
+const scoringSettings = require('./profiles/settings');
+const { resolveLocale, setLocaleHeaders, localizePeople } = require('./locales');
+const { resolveProfile, resolveDetail, resolveAutoRotate, analyzeImage, logFailure } = require('./analyze');
+const { clusterFaces, summarizeClusters } = require('./clustering');
+const { refundRejected } = require('./auth');
+const { stats } = require('./stats');
+const metrics = require('./metrics');
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  
+  await Promise.all(workers);
+  return results;
+}
+
+// Each entry carries a client id (JSON "id" or the uploaded filename) and a
+// reader that is only called inside the per-item try, so a malformed entry
+// fails on its own instead of rejecting the batch.
+function readBatchInput(req) {
+  if (req.files && req.files.length > 0) {
+    return req.files.map((file) => ({
+      id: file.originalname,
+      read: () => readFileImage(file)
+    }));
+  }
+  
+  const { images } = req.body || {};
+  
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new HttpError(400, 'No images provided', 'Expected a non-empty "images" array or multipart "images" files');
+  }
+  
+  return images.map((entry) => {
+    const isObject = entry !== null && typeof entry === 'object';
+    return {
+      id: isObject ? entry.id : undefined,
+      read: () => readBase64Image(isObject ? entry.image : entry)
+    };
+  });
+}
+
+function resolveCluster(req) {
+  const value = (req.query && req.query.cluster) || (req.body && req.body.cluster);
+  return value === true || value === 'true' || value === '1';
+}
+
+// Groups the faces of every successful entry by identity. Each person gets
+// an anonymous `cluster` number and the response a per-cluster summary.
+// Descriptors only live in `described` for the length of the request.
+function applyClusters(results, described) {
+  const faces = [];
+  results.forEach((result, index) => {
+    if (!described[index]) return;
+    result.people.forEach((person, face) => {
+      faces.push({ photo: index, descriptor: described[index][face], index, id: result.id, face, person });
+    });
+  });
+  
+  const ids = clusterFaces(faces, config.clustering.maxDistance);
+  const members = faces.map(({ index, id, face, person }, i) => ({ cluster: ids[i], index, id, face, person }));
+  
+  members.forEach(({ cluster, index, face }) => {
+    results[index].people[face] = { cluster, ...results[index].people[face] };
+  });
+  
+  return summarizeClusters(members);
+}
+
+// Quota cost of a batch: one unit per submitted image.
+function batchCost(req) {
+  if (req.files && req.files.length > 0) return req.files.length;
+  const images = req.body && req.body.images;
+  return Array.isArray(images) && images.length > 0 ? images.length : 1;
+}
+
+function createBatchHandler(defaultProfile) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    stats.requestCount++;
+    
+    console.log(`📚 Batch request #${stats.requestCount} from ${req.ip}`);
+    
+    try {
+      const items = readBatchInput(req);
+      const profile = resolveProfile(req, defaultProfile);
+      const detail = resolveDetail(req);
+      const detector = resolveDetector(req, profile);
+      const baseline = resolveCalibration(req, profile);
+      const autoRotate = resolveAutoRotate(req);
+      const locale = resolveLocale(req);
+      const cluster = resolveCluster(req);
+      // One scoring config for the whole batch, even across a reload.
+      const settings = scoringSettings.current();
+      
+      if (items.length > config.batch.maxImages) {
+        throw new HttpError(413, 'Too many images', `A batch may contain at most ${config.batch.maxImages} images`);
+      }
+      
+      const route = metrics.routeLabel(req);
+      const described = [];
+      const errors = [];
+      const results = await mapWithConcurrency(items, config.batch.concurrency, async (item, index) => {
+        const entry = item.id === undefined ? { index } : { index, id: item.id };
+        
+        try {
+          const { buffer, declaredType } = item.read();
+          const { people, rotation, descriptors } = await analyzeImage(buffer, declaredType, profile, {
+            route,
+            detail,
+            detector,
+            baseline,
+            autoRotate,
+            descriptors: cluster,
+            settings
+          });
+          if (cluster) described[index] = descriptors;
+          const localized = localizePeople(people, locale);
+          return rotation ? { ...entry, people: localized, rotation } : { ...entry, people: localized };
+        } catch (error) {
+          errors.push(error);
+          logFailure(error, startTime);
+          metrics.recordError(route, error instanceof HttpError ? error.error : 'internal');
+          return {
+            ...entry,
+            error: error instanceof HttpError ? error.error : 'Analysis failed',
+            message: error.message
+          };
+        }
+      });
+      
+      // Entries that were not images are not charged.
+      await refundRejected(req, res, errors);
+      
+      const failed = results.filter((result) => result.error).length;
+      console.log(`📚 Batch of ${items.length} done in ${Date.now() - startTime}ms (${failed} failed)`);
+      
+      const body = {
+        profile: profile.name,
+        scoringVersion: settings.version,
+        detector,
+        count: results.length,
+        failed,
+        results
+      };
+      
+      if (cluster) {
+        body.clusters = applyClusters(results, described);
+        const faces = body.clusters.reduce((sum, { faces: count }) => sum + count, 0);
+        console.log(`🧑‍🤝‍🧑 Clustered ${faces} face(s) into ${body.clusters.length} identit${body.clusters.length === 1 ? 'y' : 'ies'}`);
+      }
+      
+      setLocaleHeaders(res, locale);
+      res.json(body);
+      
+    } catch (error) {
+      logFailure(error, startTime);
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  readBatchInput,
+  batchCost,
+  createBatchHandler
+};
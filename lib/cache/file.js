@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// One JSON file per entry in `dir`, so the cache survives restarts on a
+// mounted volume. Writes go through a temp file and a rename like the
+// counter store. Expired files are removed on read and by a periodic
+// prune, which also deletes the oldest files beyond maxEntries.
+function createFileStore({ dir, maxEntries }) {
+  let timer = null;
+  
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  
+  async function prune() {
+    const names = (await fs.promises.readdir(dir)).filter((name) => name.endsWith('.json'));
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(dir, name);
+      try {
+        return { file, mtimeMs: (await fs.promises.stat(file)).mtimeMs };
+      } catch (error) {
+        return null;
+      }
+    }));
+    
+    const present = files.filter(Boolean).sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const stale = present.slice(maxEntries);
+    
+    await Promise.all(stale.map(({ file }) => fs.promises.unlink(file).catch(() => {})));
+    return present.length - stale.length;
+  }
+  
+  function schedulePrune() {
+    timer = setInterval(() => {
+      prune().catch((error) => console.error('❌ Failed to prune analysis cache:', error.message));
+    }, PRUNE_INTERVAL_MS);
+    timer.unref();
+  }
+  
+  async function init() {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const count = await prune();
+    schedulePrune();
+    console.log(`📂 Using analysis cache in ${dir} (${count} entries)`);
+  }
+  
+  async function get(key) {
+    const file = fileFor(key);
+    let entry;
+    
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    if (entry.key !== key) return null;
+    if (entry.expiresAt <= Date.now()) {
+      await fs.promises.unlink(file).catch(() => {});
+      return null;
+    }
+    
+    return entry.value;
+  }
+  
+  async function set(key, value, ttlSeconds) {
+    const file = fileFor(key);
+    // Unique per write: two requests storing the same key at once must not
+    // share a temp file, or a rename could publish a half-written one.
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    
+    await fs.promises.writeFile(temp, JSON.stringify({ key, value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    await fs.promises.rename(temp, file);
+  }
+  
+  async function close() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+  
+  return { name: 'file', init, get, set, close };
+}
+
+module.exports = createFileStore;
@@ -0,0 +1,123 @@
+const config = require('../config');
+const createMemoryStore = require('./memory');
+const createFileStore = require('./file');
+const createRedisStore = require('./redis');
+
+const backends = {
+  memory: () => createMemoryStore({ maxEntries: config.cache.maxEntries }),
+  file: () => createFileStore({ ...config.cache.file, maxEntries: config.cache.maxEntries }),
+  redis: () => createRedisStore(config.cache.redis)
+};
+
+let store = null;
+let ready = null;
+
+// Perceptual hashes of recently stored entries, newest last, for
+// near-duplicate lookups. Kept in this process only: after a restart (or on
+// another instance) near matches start again from empty, while exact
+// matches still come from the store.
+const recent = [];
+
+function getStore() {
+  if (!store) {
+    const create = backends[config.cache.backend];
+    if (!create) {
+      throw new Error(`Unknown cache store "${config.cache.backend}" (expected ${Object.keys(backends).join(', ')})`);
+    }
+    store = create();
+    // A store that fails to open is shut down and forgotten, so the next
+    // call connects again instead of rejecting with the same error for good.
+    ready = store.init().catch((error) => {
+      const failed = store;
+      store = null;
+      ready = null;
+      failed.close().catch(() => {});
+      throw error;
+    });
+  }
+  return ready.then(() => store);
+}
+
+async function init() {
+  await getStore();
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+function nearest(scope, phash) {
+  let best = null;
+  
+  recent.forEach((entry) => {
+    if (entry.scope !== scope) return;
+    const distance = hammingDistance(entry.phash, phash);
+    if (distance <= config.cache.nearDistance && (!best || distance < best.distance)) {
+      best = { key: entry.key, distance };
+    }
+  });
+  
+  return best;
+}
+
+function remember(scope, print) {
+  const index = recent.findIndex((entry) => entry.scope === scope && entry.key === print.key);
+  if (index !== -1) recent.splice(index, 1);
+  
+  recent.push({ scope, key: print.key, phash: print.phash });
+  if (recent.length > config.cache.maxEntries) recent.shift();
+}
+
+// `scope` holds everything besides the pixels that changes the result
+// (profile, detail level, detector, calibration, rotation retry), `print`
+// comes from fingerprintImage(). Resolves to { value, match } where match
+// is "exact" or "near", or null on a miss. A failing store counts as a
+// miss so the request still gets analyzed.
+async function lookup(scope, print) {
+  try {
+    const current = await getStore();
+    const value = await current.get(`${scope}:${print.key}`);
+    if (value) return { value, match: 'exact' };
+    
+    if (!config.cache.nearDuplicate) return null;
+    
+    const near = nearest(scope, print.phash);
+    if (near) {
+      const nearValue = await current.get(`${scope}:${near.key}`);
+      if (nearValue) return { value: nearValue, match: 'near' };
+    }
+  } catch (error) {
+    console.error('❌ Cache lookup failed:', error.message);
+  }
+  
+  return null;
+}
+
+async function save(scope, print, value) {
+  try {
+    await (await getStore()).set(`${scope}:${print.key}`, value, config.cache.ttlSeconds);
+    if (config.cache.nearDuplicate) remember(scope, print);
+  } catch (error) {
+    console.error('❌ Failed to cache result:', error.message);
+  }
+}
+
+async function close() {
+  if (store) {
+    await ready.catch(() => {});
+    await store.close();
+  }
+}
+
+module.exports = {
+  init,
+  lookup,
+  save,
+  close
+};
@@ -0,0 +1,38 @@
+// In-process LRU. A Map keeps insertion order, so reading an entry moves it
+// to the end and the oldest entry is always first. Values are stored as
+// JSON so callers never share (and mutate) a cached object.
+function createMemoryStore({ maxEntries }) {
+  const entries = new Map();
+  
+  async function init() {
+    console.log(`📂 Using in-memory analysis cache (${maxEntries} entries)`);
+  }
+  
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+    
+    entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+  
+  async function set(key, value, ttlSeconds) {
+    entries.delete(key);
+    entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+    
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+  
+  async function close() {
+    entries.clear();
+  }
+  
+  return { name: 'memory', init, get, set, close };
+}
+
+module.exports = createMemoryStore;
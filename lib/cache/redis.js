@@ -0,0 +1,31 @@
+// Shares cached results between instances through Redis or anything that
+// speaks its protocol. Entries expire through Redis' own TTL; bound the
+// total size with the server's maxmemory and an LRU eviction policy.
+function createRedisStore({ url, prefix }) {
+  const { createClient } = require('redis');
+  const client = createClient({ url });
+  
+  client.on('error', (error) => console.error('❌ Redis cache store error:', error.message));
+  
+  async function init() {
+    await client.connect();
+    console.log(`📂 Connected analysis cache to Redis`);
+  }
+  
+  async function get(key) {
+    const value = await client.get(`${prefix}${key}`);
+    return value === null ? null : JSON.parse(value);
+  }
+  
+  async function set(key, value, ttlSeconds) {
+    await client.set(`${prefix}${key}`, JSON.stringify(value), { EX: ttlSeconds });
+  }
+  
+  async function close() {
+    await client.quit();
+  }
+  
+  return { name: 'redis', init, get, set, close };
+}
+
+module.exports = createRedisStore;
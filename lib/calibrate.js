@@ -0,0 +1,59 @@
+const config = require('./config');
+const { HttpError, sendError } = require('./errors');
+const { checkImageType } = require('./image');
+const { readImageInput } = require('./upload');
+const { resolveDetector } = require('./detector');
+const { resolveProfile, logFailure } = require('./analyze');
+const { createToken } = require('./calibration');
+const scoringSettings = require('./profiles/settings');
+const pool = require('./pool');
+const metrics = require('./metrics');
+
+// POST /calibrate: one neutral, frontal, well-exposed face in, a token out.
+function createCalibrateHandler() {
+  return async (req, res) => {
+    const startTime = Date.now();
+    console.log(`🎚️  Calibration request from ${req.ip}`);
+    
+    try {
+      const { buffer, declaredType } = readImageInput(req);
+      const detector = resolveDetector(req, resolveProfile(req, 'classic'));
+      const type = checkImageType(buffer, declaredType);
+      
+      const { faces, person, happy, baselines, timings } = await pool.run('calibrate', {
+        buffer,
+        type,
+        detector,
+        settings: scoringSettings.current()
+      });
+      metrics.recordStages(metrics.routeLabel(req), timings);
+      
+      if (faces === 0) {
+        throw new HttpError(400, 'No face detected', 'Calibration needs one clearly visible face');
+      }
+      if (faces > 1) {
+        throw new HttpError(400, 'Multiple faces detected', 'Calibration needs exactly one face');
+      }
+      
+      if (!person.reliable) {
+        const reasons = person.quality.ok ? ['pose'] : person.quality.reasons;
+        throw new HttpError(400, 'Face not suitable for calibration', `Retake the photo (${reasons.join(', ')})`);
+      }
+      if (happy > config.calibration.maxHappy) {
+        throw new HttpError(400, 'Face not neutral', 'Calibration needs a relaxed, non-smiling face');
+      }
+      
+      console.log(`✅ Calibrated in ${Date.now() - startTime}ms`);
+      
+      res.json({ ...createToken(baselines), baselines });
+      
+    } catch (error) {
+      logFailure(error, startTime);
+      sendError(res, error, 'Calibration failed');
+    }
+  };
+}
+
+module.exports = {
+  createCalibrateHandler
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { getProfile, listProfiles, scoreDetections } = require('./scoring');
+
+// A calibration token carries a person's neutral-face ratios for every
+// profile, signed so clients cannot edit them. Nothing is stored on the
+// server: "<base64url JSON payload>.<base64url HMAC-SHA256>".
+const TOKEN_VERSION = 1;
+
+const secret = config.calibration.secret || crypto.randomBytes(32).toString('hex');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createToken(baselines) {
+  const expiresAt = Date.now() + config.calibration.ttlDays * 24 * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ v: TOKEN_VERSION, baselines, exp: expiresAt })).toString('base64url');
+  
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function readToken(token) {
+  const [payload, signature, extra] = String(token).split('.');
+  const expected = payload ? sign(payload) : '';
+  
+  if (extra !== undefined || !signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new HttpError(400, 'Invalid calibration token', 'Calibrate again with POST /calibrate');
+  }
+  
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (data.v !== TOKEN_VERSION || !data.baselines) {
+    throw new HttpError(400, 'Invalid calibration token', 'Calibrate again with POST /calibrate');
+  }
+  if (data.exp < Date.now()) {
+    throw new HttpError(400, 'Calibration token expired', 'Calibrate again with POST /calibrate');
+  }
+  
+  return data.baselines;
+}
+
+function readTokenParam(req) {
+  return (req.query && req.query.calibration) ||
+    (req.body && req.body.calibration) ||
+    req.get('x-calibration-token') ||
+    null;
+}
+
+// Returns the baseline for `profile` from the request's calibration token
+// (?calibration=, body.calibration or an X-Calibration-Token header), or
+// null when none was sent.
+function resolveCalibration(req, profile) {
+  const token = readTokenParam(req);
+  if (!token) return null;
+  
+  const baselines = readToken(token);
+  if (!Object.prototype.hasOwnProperty.call(baselines, profile.name)) {
+    throw new HttpError(400, 'Invalid calibration token', `Token has no baseline for profile ${profile.name}`);
+  }
+  
+  return baselines[profile.name];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Ratios from one neutral face under every profile. Each profile reads its
+// own values out of a detail=full trace. `settings` is the scoring config
+// (the active one when omitted).
+function measureBaselines(detections, img, settings) {
+  const baselines = {};
+  
+  listProfiles().forEach((name) => {
+    const profile = getProfile(name);
+    const [person] = scoreDetections(detections, img, profile, { detail: 'full', settings });
+    const values = profile.baseline(person.detail.ratios);
+    
+    baselines[name] = {};
+    Object.entries(values).forEach(([key, value]) => { baselines[name][key] = round(value); });
+  });
+  
+  return baselines;
+}
+
+module.exports = {
+  createToken,
+  readToken,
+  resolveCalibration,
+  measureBaselines
+};
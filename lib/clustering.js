@@ -0,0 +1,95 @@
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+// Greedy identity grouping: each face joins the cluster whose mean
+// descriptor is nearest, provided it lies within maxDistance and the
+// cluster has no face from the same photo yet (one person appears once per
+// photo). Returns a cluster number per face, from 1 in order of first
+// appearance. faces: [{ photo, descriptor }].
+function clusterFaces(faces, maxDistance) {
+  const clusters = [];
+  
+  return faces.map(({ photo, descriptor }) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    clusters.forEach((cluster) => {
+      if (cluster.photos.has(photo)) return;
+      const d = distance(cluster.centroid, descriptor);
+      if (d <= maxDistance && d < nearestDistance) {
+        nearest = cluster;
+        nearestDistance = d;
+      }
+    });
+    
+    if (!nearest) {
+      nearest = { id: clusters.length + 1, centroid: [...descriptor], size: 0, photos: new Set() };
+      clusters.push(nearest);
+    }
+    
+    nearest.size++;
+    nearest.photos.add(photo);
+    nearest.centroid = nearest.centroid.map((value, i) => value + (descriptor[i] - value) / nearest.size);
+    
+    return nearest.id;
+  });
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function average(values) {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+// Per-cluster aggregates. members: [{ cluster, index, id, face, person }]
+// where index/id name the batch entry and face the person's position in it.
+// Faces without a score or verdict (pose or quality) are listed but left
+// out of the averages.
+function summarizeClusters(members) {
+  const byCluster = new Map();
+  members.forEach((member) => {
+    if (!byCluster.has(member.cluster)) byCluster.set(member.cluster, []);
+    byCluster.get(member.cluster).push(member);
+  });
+  
+  return [...byCluster.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([cluster, group]) => {
+      const people = group.map(({ person }) => person);
+      const scores = people.map((person) => person.score).filter((score) => score !== null);
+      const verdicts = people.map((person) => person.isGenuine).filter((isGenuine) => isGenuine !== null);
+      const genuine = verdicts.filter(Boolean).length;
+      
+      const measured = people.map((person) => person.metrics).filter(Boolean);
+      const metrics = {};
+      if (measured.length > 0) {
+        Object.keys(measured[0]).forEach((key) => {
+          metrics[key] = average(measured.map((values) => values[key]).filter((value) => typeof value === 'number'));
+        });
+      }
+      
+      return {
+        cluster,
+        faces: group.length,
+        appearances: group.map(({ index, id, face }) => (id === undefined ? { index, face } : { index, id, face })),
+        bestScore: scores.length > 0 ? Math.max(...scores) : null,
+        averageScore: average(scores),
+        genuine,
+        genuineRate: verdicts.length > 0 ? Math.round((genuine / verdicts.length) * 100) / 100 : null,
+        metrics: measured.length > 0 ? metrics : null
+      };
+    });
+}
+
+module.exports = {
+  clusterFaces,
+  summarizeClusters
+};
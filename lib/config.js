@@ -0,0 +1,223 @@
+const path = require('path');
+
+// Reads a numeric setting, keeping 0 and negative values; unset or
+// unparsable values fall back to the default.
+function number(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const config = {
+  port: process.env.PORT || 3001,
+
+  // Deployment-wide scoring profile. When unset each route family keeps
+  // its historical default (classic for /analyze, v2 for /api/analyze).
+  scoringProfile: process.env.SCORING_PROFILE || null,
+
+  // Weights, normalization constants, genuine thresholds and verdicts for
+  // the scoring profiles. The file is polled and reloaded when it changes.
+  scoring: {
+    file: process.env.SCORING_CONFIG || path.join(__dirname, '..', 'config', 'scoring.json'),
+    pollMs: 2000
+  },
+
+  // Message catalogs for verdict and feedback codes, picked per request by
+  // ?lang= or Accept-Language.
+  locales: {
+    dir: process.env.LOCALES_DIR || path.join(__dirname, '..', 'locales'),
+    default: (process.env.DEFAULT_LOCALE || 'en').toLowerCase()
+  },
+
+  // Model weights are read from MODEL_PATH (defaults to the copy bundled
+  // with @vladmandic/face-api) and verified against MODEL_CHECKSUMS.
+  // The CDN is only contacted when MODEL_CDN_FALLBACK=true.
+  modelPath: process.env.MODEL_PATH || null,
+  modelChecksums: process.env.MODEL_CHECKSUMS || null,
+  modelUrl: process.env.MODEL_URL || 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model',
+  modelCdnFallback: process.env.MODEL_CDN_FALLBACK === 'true',
+
+  // Face detector backend for the deployment ("tiny" or "ssd"). Requests
+  // may pick another backend and override the options below, but only
+  // within these bounds. minFaceSize is the shorter box side in pixels.
+  detector: {
+    backend: process.env.DETECTOR || 'tiny',
+    ssd: {
+      scoreThreshold: 0.5
+    },
+    inputSize: { min: 128, max: 608 },
+    scoreThreshold: { min: 0.05, max: 0.95 },
+    maxFaces: parseInt(process.env.DETECTOR_MAX_FACES, 10) || 50,
+    minFaceSize: { max: 1024 }
+  },
+
+  // Head pose limits in degrees. Past `tolerance` the yaw/pitch-sensitive
+  // metrics are down-weighted; past a max the face is flagged unreliable.
+  // Roll beyond rollTolerance is corrected by rotating the landmarks.
+  pose: {
+    maxYaw: parseFloat(process.env.POSE_MAX_YAW) || 35,
+    maxPitch: parseFloat(process.env.POSE_MAX_PITCH) || 25,
+    maxRoll: parseFloat(process.env.POSE_MAX_ROLL) || 45,
+    tolerance: 10,
+    rollTolerance: 3
+  },
+
+  // Per-face quality gate, measured on the face box resampled to
+  // sampleSize px. QUALITY_GATE: "flag" keeps the score but withholds the
+  // verdict, "skip" drops the score and metrics too, "off" only reports.
+  // Sharpness is the variance of the Laplacian; brightness and contrast are
+  // the mean and standard deviation of luminance (0-255).
+  quality: {
+    gate: process.env.QUALITY_GATE || 'flag',
+    sampleSize: 128,
+    minSharpness: number(process.env.QUALITY_MIN_SHARPNESS, 25),
+    minBrightness: number(process.env.QUALITY_MIN_BRIGHTNESS, 40),
+    maxBrightness: number(process.env.QUALITY_MAX_BRIGHTNESS, 220),
+    minContrast: number(process.env.QUALITY_MIN_CONTRAST, 20),
+    minFaceSize: number(process.env.QUALITY_MIN_FACE_SIZE, 48)
+  },
+
+  // Calibration tokens are signed with CALIBRATION_SECRET. Without one a
+  // random secret is used, so tokens stop working when the server restarts.
+  calibration: {
+    secret: process.env.CALIBRATION_SECRET || null,
+    ttlDays: parseInt(process.env.CALIBRATION_TTL_DAYS, 10) || 30,
+    maxHappy: 0.5
+  },
+
+  // When an upright image has no faces, try it rotated by 90/270/180
+  // degrees. Requests can override with autoRotate=true|false.
+  orientation: {
+    retry: process.env.ORIENTATION_RETRY === 'true'
+  },
+
+  // Anonymous (per-IP) tier. API keys carry their own limits.
+  rateLimit: {
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.ANONYMOUS_RATE_LIMIT, 10) || 50
+  },
+
+  auth: {
+    keysFile: process.env.API_KEYS_FILE || path.join(process.cwd(), 'config', 'api-keys.json'),
+    anonymousAccess: process.env.ANONYMOUS_ACCESS !== 'false'
+  },
+
+  // The /v1 contract (lib/openapi). RESPONSE_VALIDATION=log (the default)
+  // logs a response that breaks the documented schema, "strict" turns it
+  // into a 500 (for development and CI) and "off" skips the check.
+  // LEGACY_SUNSET (a date) is announced on the deprecated unversioned routes.
+  api: {
+    responseValidation: process.env.RESPONSE_VALIDATION || 'log',
+    sunset: process.env.LEGACY_SUNSET || null
+  },
+
+  // Analysis result cache, keyed on a downscaled pixel fingerprint rather
+  // than the uploaded bytes. "memory" is an LRU bounded by maxEntries,
+  // "file" keeps one JSON file per entry and "redis" is shared between
+  // instances (bound it with Redis' maxmemory). CACHE_NEAR_DUPLICATE also
+  // matches images whose perceptual hash is within nearDistance bits of a
+  // cached one, which catches lossy re-encodes and resizes.
+  cache: {
+    backend: process.env.CACHE_STORE || 'memory',
+    ttlSeconds: parseInt(process.env.CACHE_TTL, 10) || 3600,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    nearDuplicate: process.env.CACHE_NEAR_DUPLICATE === 'true',
+    nearDistance: parseInt(process.env.CACHE_NEAR_DISTANCE, 10) || 4,
+    file: {
+      dir: process.env.CACHE_DIR || path.join(process.cwd(), 'data', 'cache')
+    },
+    redis: {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      prefix: process.env.CACHE_REDIS_PREFIX || 'realsmile:cache:'
+    }
+  },
+
+  // Inference (decoding, detection, scoring, annotation) runs in a pool of
+  // worker threads so the event loop keeps answering /health and light
+  // routes under load. Jobs wait in a bounded queue behind the busy
+  // workers; once maxQueue are waiting, requests get a 503 with
+  // Retry-After. WORKER_POOL_SIZE=0 (the default) runs inference on the
+  // main thread: canvas 2.x is not context-aware, so it cannot be loaded in
+  // a worker once the main thread has loaded it.
+  workers: {
+    size: process.env.WORKER_POOL_SIZE !== undefined
+      ? parseInt(process.env.WORKER_POOL_SIZE, 10)
+      : 0,
+    maxQueue: process.env.WORKER_QUEUE_SIZE !== undefined
+      ? parseInt(process.env.WORKER_QUEUE_SIZE, 10)
+      : 32,
+    jobTimeoutMs: (parseInt(process.env.WORKER_JOB_TIMEOUT_SECONDS, 10) || 60) * 1000,
+    respawnDelayMs: 1000
+  },
+
+  jsonLimit: '10mb',
+  maxImageBytes: 10 * 1024 * 1024,
+
+  batch: {
+    maxImages: parseInt(process.env.BATCH_MAX_IMAGES, 10) || 20,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 2,
+    jsonLimit: '50mb'
+  },
+
+  clustering: {
+    maxDistance: parseFloat(process.env.CLUSTER_MAX_DISTANCE) || 0.5
+  },
+
+  sequence: {
+    fps: parseInt(process.env.SEQUENCE_FPS, 10) || 10,
+    maxFrames: parseInt(process.env.SEQUENCE_MAX_FRAMES, 10) || 60,
+    maxVideoBytes: 25 * 1024 * 1024,
+    decodeTimeoutMs: 30000,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    jsonLimit: '50mb'
+  },
+
+  annotate: {
+    jpegQuality: 0.9
+  },
+
+  // Live camera sessions over WebSocket. Anonymous sessions are capped per
+  // IP and keyed ones per key; frames count against the same rate limits
+  // as HTTP requests.
+  stream: {
+    maxSessions: parseInt(process.env.STREAM_MAX_SESSIONS, 10) || 20,
+    maxSessionsPerIp: parseInt(process.env.STREAM_MAX_SESSIONS_PER_IP, 10) || 2,
+    maxSessionsPerKey: parseInt(process.env.STREAM_MAX_SESSIONS_PER_KEY, 10) || 5,
+    maxFrames: parseInt(process.env.STREAM_MAX_FRAMES, 10) || 600,
+    maxSeconds: parseInt(process.env.STREAM_MAX_SECONDS, 10) || 300,
+    heartbeatMs: 30000
+  },
+
+  // Event leaderboard sessions, kept in this process's memory. Only
+  // participant names and derived scores are held, never images.
+  sessions: {
+    ttlHours: parseFloat(process.env.SESSION_TTL_HOURS) || 24,
+    maxTtlHours: 7 * 24,
+    maxSessions: parseInt(process.env.SESSION_MAX_SESSIONS, 10) || 1000,
+    maxEntries: parseInt(process.env.SESSION_MAX_ENTRIES, 10) || 500,
+    maxNameLength: 40,
+    sweepMs: 60 * 1000
+  },
+
+  // Lifetime and per-day analysis counts. "file" keeps a JSON file (point
+  // COUNTER_FILE at a mounted volume on Railway); "redis" shares counts
+  // between instances.
+  counters: {
+    backend: process.env.COUNTER_STORE || 'file',
+    file: {
+      file: process.env.COUNTER_FILE || path.join(process.cwd(), 'data', 'counters.json'),
+      flushDelayMs: 500
+    },
+    redis: {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      prefix: process.env.COUNTER_REDIS_PREFIX || 'realsmile:count:'
+    }
+  },
+
+  // Added to the day's count on /api/counter, /v1/count and "/" for
+  // display only; it is never written to the store.
+  dailyCountBaseline: process.env.DAILY_COUNT_BASELINE !== undefined
+    ? parseInt(process.env.DAILY_COUNT_BASELINE, 10) || 0
+    : 450
+};
+
+module.exports = config;
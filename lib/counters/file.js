@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps counts in memory and writes them to a JSON file shortly after each
+// change. Writes go to a temp file first and are renamed into place so a
+// crash mid-write never leaves a truncated file behind.
+function createFileStore({ file, flushDelayMs }) {
+  let data = { total: 0, days: {}, fields: {} };
+  let timer = null;
+  let writing = Promise.resolve();
+  
+  async function init() {
+    try {
+      data = { ...data, ...JSON.parse(await fs.promises.readFile(file, 'utf8')) };
+      console.log(`📂 Loaded counters from ${file} (total ${data.total})`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read counter file ${file}: ${error.message}`);
+      }
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      console.log(`📂 Starting new counter file at ${file}`);
+    }
+  }
+  
+  function save() {
+    const snapshot = JSON.stringify(data);
+    const temp = `${file}.tmp`;
+    writing = writing
+      .then(() => fs.promises.writeFile(temp, snapshot))
+      .then(() => fs.promises.rename(temp, file))
+      .catch((error) => console.error('❌ Failed to save counters:', error));
+    return writing;
+  }
+  
+  function scheduleSave() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      save();
+    }, flushDelayMs);
+  }
+  
+  async function increment(day, amount) {
+    data.total += amount;
+    data.days[day] = (data.days[day] || 0) + amount;
+    scheduleSave();
+    return { total: data.total, day: data.days[day] };
+  }
+  
+  async function getTotal() {
+    return data.total;
+  }
+  
+  async function getDays(days) {
+    return days.map((day) => data.days[day] || 0);
+  }
+  
+  async function incrementFields(name, day, fields) {
+    const byDay = data.fields[name] || (data.fields[name] = {});
+    const counts = byDay[day] || (byDay[day] = {});
+    const totals = {};
+    Object.entries(fields).forEach(([field, amount]) => {
+      counts[field] = (counts[field] || 0) + amount;
+      totals[field] = counts[field];
+    });
+    scheduleSave();
+    return totals;
+  }
+  
+  async function getFields(name, days) {
+    const byDay = data.fields[name] || {};
+    return days.map((day) => ({ ...byDay[day] }));
+  }
+  
+  async function close() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+      save();
+    }
+    await writing;
+  }
+  
+  return { name: 'file', init, increment, getTotal, getDays, incrementFields, getFields, close };
+}
+
+module.exports = createFileStore;
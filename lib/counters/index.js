@@ -0,0 +1,83 @@
+const config = require('../config');
+const createFileStore = require('./file');
+const createRedisStore = require('./redis');
+const { dayKey } = require('../dates');
+
+const backends = {
+  file: () => createFileStore(config.counters.file),
+  redis: () => createRedisStore(config.counters.redis)
+};
+
+let store = null;
+let ready = null;
+
+function getStore() {
+  if (!store) {
+    const create = backends[config.counters.backend];
+    if (!create) {
+      throw new Error(`Unknown counter store "${config.counters.backend}" (expected ${Object.keys(backends).join(', ')})`);
+    }
+    store = create();
+    // A store that fails to open is shut down and forgotten, so the next
+    // call connects again instead of rejecting with the same error for good.
+    ready = store.init().catch((error) => {
+      const failed = store;
+      store = null;
+      ready = null;
+      failed.close().catch(() => {});
+      throw error;
+    });
+  }
+  return ready.then(() => store);
+}
+
+async function init() {
+  await getStore();
+}
+
+async function increment(amount = 1) {
+  return (await getStore()).increment(dayKey(), amount);
+}
+
+async function getTotal() {
+  return (await getStore()).getTotal();
+}
+
+async function getDay(day = dayKey()) {
+  const [count] = await (await getStore()).getDays([day]);
+  return count;
+}
+
+async function getHistory(days) {
+  const counts = await (await getStore()).getDays(days);
+  return days.map((date, index) => ({ date, count: counts[index] }));
+}
+
+// Named per-day field counters, used for analytics aggregates. Resolves to
+// each incremented field's new count for the day.
+async function incrementFields(name, fields) {
+  return (await getStore()).incrementFields(name, dayKey(), fields);
+}
+
+async function getFields(name, days) {
+  const values = await (await getStore()).getFields(name, days);
+  return days.map((date, index) => ({ date, fields: values[index] }));
+}
+
+async function close() {
+  if (store) {
+    await ready.catch(() => {});
+    await store.close();
+  }
+}
+
+module.exports = {
+  init,
+  increment,
+  getTotal,
+  getDay,
+  getHistory,
+  incrementFields,
+  getFields,
+  close
+};
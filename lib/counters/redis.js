@@ -0,0 +1,62 @@
+// Works with Redis and anything that speaks its protocol (Valkey, KeyDB,
+// Upstash). Several instances can share one set of counters this way.
+function createRedisStore({ url, prefix }) {
+  const { createClient } = require('redis');
+  const client = createClient({ url });
+  
+  client.on('error', (error) => console.error('❌ Redis counter store error:', error.message));
+  
+  const totalKey = `${prefix}total`;
+  const dayKey = (day) => `${prefix}day:${day}`;
+  const fieldsKey = (name, day) => `${prefix}${name}:${day}`;
+  
+  async function init() {
+    await client.connect();
+    console.log(`📂 Connected counter store to Redis`);
+  }
+  
+  async function increment(day, amount) {
+    const [total, dayCount] = await client.multi()
+      .incrBy(totalKey, amount)
+      .incrBy(dayKey(day), amount)
+      .exec();
+    return { total: Number(total), day: Number(dayCount) };
+  }
+  
+  async function getTotal() {
+    return Number(await client.get(totalKey)) || 0;
+  }
+  
+  async function getDays(days) {
+    if (days.length === 0) return [];
+    const values = await client.mGet(days.map(dayKey));
+    return values.map((value) => Number(value) || 0);
+  }
+  
+  async function incrementFields(name, day, fields) {
+    const entries = Object.entries(fields);
+    const multi = client.multi();
+    entries.forEach(([field, amount]) => {
+      multi.hIncrBy(fieldsKey(name, day), field, amount);
+    });
+    const values = await multi.exec();
+    return Object.fromEntries(entries.map(([field], index) => [field, Number(values[index])]));
+  }
+  
+  async function getFields(name, days) {
+    const multi = client.multi();
+    days.forEach((day) => multi.hGetAll(fieldsKey(name, day)));
+    const hashes = days.length > 0 ? await multi.exec() : [];
+    return hashes.map((hash) => Object.fromEntries(
+      Object.entries(hash || {}).map(([field, value]) => [field, Number(value)])
+    ));
+  }
+  
+  async function close() {
+    await client.quit();
+  }
+  
+  return { name: 'redis', init, increment, getTotal, getDays, incrementFields, getFields, close };
+}
+
+module.exports = createRedisStore;
@@ -0,0 +1,56 @@
+const { HttpError } = require('./errors');
+
+const MAX_RANGE_DAYS = 366;
+
+function dayKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return dayKey(date) === value ? date : null;
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  const cursor = new Date(from);
+  while (cursor <= to && days.length < MAX_RANGE_DAYS) {
+    days.push(dayKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+}
+
+// Reads ?from=YYYY-MM-DD&to=YYYY-MM-DD (to defaults to today, from to
+// defaultDays before it) and returns the list of day keys in between. A
+// range longer than MAX_RANGE_DAYS is rejected rather than cut short.
+function parseRange(query, defaultDays = 30) {
+  const to = query.to ? parseDay(query.to) : new Date();
+  const from = query.from
+    ? parseDay(query.from)
+    : to && new Date(to.getFullYear(), to.getMonth(), to.getDate() - (defaultDays - 1));
+  
+  if (!from || !to || from > to) {
+    throw new HttpError(400, 'Invalid date range', 'Use from/to as YYYY-MM-DD with from <= to');
+  }
+  
+  // Rounded, since a span across a DST change is not a whole number of days.
+  if (Math.round((to - from) / 86400000) + 1 > MAX_RANGE_DAYS) {
+    throw new HttpError(400, 'Invalid date range', `A range may span at most ${MAX_RANGE_DAYS} days`);
+  }
+  
+  return daysBetween(from, to);
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  dayKey,
+  parseDay,
+  daysBetween,
+  parseRange
+};
@@ -0,0 +1,106 @@
+const config = require('./config');
+const { faceapi } = require('./models');
+const { HttpError } = require('./errors');
+
+// Each backend turns resolved settings into face-api options. SSD MobileNet
+// always runs at its own 512px input, so inputSize only applies to tiny.
+const BACKENDS = {
+  tiny: {
+    defaults: (profile) => profile.detector,
+    options: ({ inputSize, scoreThreshold }) => new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold })
+  },
+  ssd: {
+    defaults: () => ({ scoreThreshold: config.detector.ssd.scoreThreshold }),
+    options: ({ scoreThreshold, maxFaces }) => new faceapi.SsdMobilenetv1Options({ minConfidence: scoreThreshold, maxResults: maxFaces })
+  }
+};
+
+if (!Object.prototype.hasOwnProperty.call(BACKENDS, config.detector.backend)) {
+  throw new Error(`Unknown DETECTOR "${config.detector.backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+}
+
+function listDetectors() {
+  return Object.keys(BACKENDS);
+}
+
+// Query string wins over the JSON/multipart body, as with ?profile=.
+function readOption(req, name) {
+  if (req.query && req.query[name] !== undefined) return req.query[name];
+  if (req.body && req.body[name] !== undefined) return req.body[name];
+  return undefined;
+}
+
+function parseBounded(value, name, { min, max, integer = false }) {
+  const number = Number(value);
+  
+  if (value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new HttpError(400, 'Invalid detector option', `${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  
+  return number;
+}
+
+// Resolves the detector settings for a request: request overrides, then
+// the deployment backend, then the scoring profile's own defaults.
+function resolveDetector(req, profile) {
+  const backend = readOption(req, 'detector') || config.detector.backend;
+  
+  if (!Object.prototype.hasOwnProperty.call(BACKENDS, backend)) {
+    throw new HttpError(400, 'Unknown detector', `Available detectors: ${listDetectors().join(', ')}`);
+  }
+  
+  const bounds = config.detector;
+  const defaults = BACKENDS[backend].defaults(profile);
+  const option = (name, limits, fallback) => {
+    const value = readOption(req, name);
+    return value === undefined ? fallback : parseBounded(value, name, limits);
+  };
+  
+  const settings = { backend };
+  
+  if (backend === 'tiny') {
+    settings.inputSize = option('inputSize', { ...bounds.inputSize, integer: true }, defaults.inputSize);
+    if (settings.inputSize % 32 !== 0) {
+      throw new HttpError(400, 'Invalid detector option', 'inputSize must be a multiple of 32');
+    }
+  } else if (readOption(req, 'inputSize') !== undefined) {
+    throw new HttpError(400, 'Invalid detector option', 'inputSize only applies to the tiny detector');
+  }
+  
+  settings.scoreThreshold = option('scoreThreshold', bounds.scoreThreshold, defaults.scoreThreshold);
+  settings.maxFaces = option('maxFaces', { min: 1, max: bounds.maxFaces, integer: true }, bounds.maxFaces);
+  settings.minFaceSize = option('minFaceSize', { min: 0, max: bounds.minFaceSize.max, integer: true }, 0);
+  
+  return settings;
+}
+
+function detectorOptions(settings) {
+  return BACKENDS[settings.backend].options(settings);
+}
+
+// Drops faces smaller than minFaceSize and keeps the maxFaces most
+// confident ones, preserving the detector's original order.
+function filterDetections(detections, settings) {
+  const large = detections.filter((detection) =>
+    Math.min(detection.box.width, detection.box.height) >= settings.minFaceSize
+  );
+  
+  if (large.length <= settings.maxFaces) {
+    return large;
+  }
+  
+  const kept = new Set([...large].sort((a, b) => b.score - a.score).slice(0, settings.maxFaces));
+  return large.filter((detection) => kept.has(detection));
+}
+
+function detectorKey(settings) {
+  return [settings.backend, settings.inputSize, settings.scoreThreshold, settings.maxFaces, settings.minFaceSize].join('/');
+}
+
+module.exports = {
+  listDetectors,
+  resolveDetector,
+  detectorOptions,
+  filterDetections,
+  detectorKey
+};
@@ -0,0 +1,46 @@
+// `details` lists the individual problems behind a validation failure as
+// { path, message } pairs.
+class HttpError extends Error {
+  constructor(status, error, message, details) {
+    super(message || error);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+function sendError(res, error, fallback = 'Analysis failed') {
+  res.locals.errorType = error instanceof HttpError ? error.error : 'internal';
+  
+  if (error instanceof HttpError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      error: error.error,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  
+  res.status(500).json({ 
+    error: fallback, 
+    message: error.message 
+  });
+}
+
+// Express 4 does not forward rejected promises to error middleware.
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = {
+  HttpError,
+  sendError,
+  asyncRoute
+};
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const { checkImageType, decodeImage } = require('./image');
+const { detectFaces } = require('./inference');
+const { getProfile, scoreDetections } = require('./scoring');
+const { estimatePose, poseAdjustment } = require('./pose');
+
+// Offline evaluation of the scoring profiles against a labelled set of
+// photos (see scripts/evaluate.js). Faces go through the same detection
+// and scoring as /analyze; the weight search re-runs a profile's score()
+// on the measured landmarks with candidate weights, so it needs no second
+// copy of the formulas.
+
+const LABELS = { genuine: true, posed: false };
+
+// Labels file: one "image,label[,face]" row per face. label is genuine or
+// posed; face counts detected faces from the left, starting at 0, and
+// defaults to the largest face. A header row and # comments are skipped.
+function readLabels(file) {
+  const rows = [];
+  
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+    
+    const [image, label = '', face = ''] = text.split(',').map((cell) => cell.trim());
+    const where = `${file}:${index + 1}`;
+    
+    if (image.toLowerCase() === 'image' && label.toLowerCase() === 'label') return;
+    if (!Object.prototype.hasOwnProperty.call(LABELS, label.toLowerCase())) {
+      throw new Error(`${where}: label must be "genuine" or "posed", got "${label}"`);
+    }
+    if (face !== '' && !/^\d+$/.test(face)) {
+      throw new Error(`${where}: face must be a face number from 0, got "${face}"`);
+    }
+    
+    rows.push({ image, genuine: LABELS[label.toLowerCase()], face: face === '' ? null : Number(face) });
+  });
+  
+  if (rows.length === 0) {
+    throw new Error(`${file} has no labelled faces`);
+  }
+  
+  return rows;
+}
+
+function boxArea({ detection }) {
+  return detection.box.width * detection.box.height;
+}
+
+function boxCentre({ detection }) {
+  return detection.box.x + detection.box.width / 2;
+}
+
+function pickFace(detections, face) {
+  if (face !== null) return detections[face] || null;
+  if (detections.length === 0) return null;
+  return detections.reduce((largest, detection) => (boxArea(detection) > boxArea(largest) ? detection : largest));
+}
+
+// Detects every labelled image in `dir` once and scores the labelled faces
+// under each of `profiles` with `settings`. Keeps what the weight search
+// needs per face (levelled landmarks, expressions and pose reliability)
+// rather than the decoded images. Labels that cannot be matched to a face
+// are returned as `unmatched`.
+async function collectFaces(dir, labels, { detector, profiles, settings, onImage = () => {} }) {
+  const byImage = new Map();
+  labels.forEach((row) => {
+    if (!byImage.has(row.image)) byImage.set(row.image, []);
+    byImage.get(row.image).push(row);
+  });
+  
+  const faces = [];
+  const unmatched = [];
+  
+  for (const [image, rows] of byImage) {
+    onImage(image);
+    let detections;
+    let img;
+    
+    try {
+      const buffer = fs.readFileSync(path.join(dir, image));
+      ({ img } = await decodeImage(buffer, checkImageType(buffer)));
+      detections = [...await detectFaces(img, detector)].sort((a, b) => boxCentre(a) - boxCentre(b));
+    } catch (error) {
+      rows.forEach((row) => unmatched.push({ ...row, reason: error.code === 'ENOENT' ? 'file not found' : error.message }));
+      continue;
+    }
+    
+    rows.forEach((row) => {
+      const detection = pickFace(detections, row.face);
+      if (!detection) {
+        unmatched.push({ ...row, reason: `${detections.length} face(s) detected` });
+        return;
+      }
+      
+      const adjustment = poseAdjustment(detection.landmarks, estimatePose(detection.landmarks));
+      const results = {};
+      profiles.forEach((name) => {
+        const [person] = scoreDetections([detection], img, getProfile(name), { settings });
+        results[name] = { score: person.score, isGenuine: person.isGenuine };
+      });
+      
+      faces.push({
+        image,
+        face: detections.indexOf(detection),
+        genuine: row.genuine,
+        input: { landmarks: adjustment.landmarks, expressions: detection.expressions, detection: detection.detection },
+        reliability: adjustment.reliability,
+        results
+      });
+    });
+  }
+  
+  return { faces, unmatched };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// Area under the ROC curve from the Mann-Whitney U statistic, with tied
+// scores ranked at their average. null without both kinds of face.
+function rocAuc(samples) {
+  const scored = samples.filter((sample) => sample.score !== null).sort((a, b) => a.score - b.score);
+  const positives = scored.filter((sample) => sample.genuine).length;
+  const negatives = scored.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+  
+  let rankSum = 0;
+  for (let start = 0; start < scored.length;) {
+    let end = start;
+    while (end < scored.length && scored[end].score === scored[start].score) end++;
+    
+    const averageRank = (start + 1 + end) / 2;
+    for (let i = start; i < end; i++) {
+      if (scored[i].genuine) rankSum += averageRank;
+    }
+    start = end;
+  }
+  
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// samples: [{ genuine, score, isGenuine }]. Faces the pose or quality
+// checks left without a verdict (isGenuine null) are counted as
+// `abstained` and kept out of the confusion matrix, but their scores still
+// count towards ROC-AUC.
+function summarize(samples) {
+  const confusion = { truePositive: 0, falseNegative: 0, falsePositive: 0, trueNegative: 0 };
+  let abstained = 0;
+  
+  samples.forEach(({ genuine, isGenuine }) => {
+    if (isGenuine === null) abstained++;
+    else if (genuine) confusion[isGenuine ? 'truePositive' : 'falseNegative']++;
+    else confusion[isGenuine ? 'falsePositive' : 'trueNegative']++;
+  });
+  
+  const { truePositive, falseNegative, falsePositive, trueNegative } = confusion;
+  const decided = samples.length - abstained;
+  
+  return {
+    faces: samples.length,
+    abstained,
+    accuracy: ratio(truePositive + trueNegative, decided),
+    precision: ratio(truePositive, truePositive + falsePositive),
+    recall: ratio(truePositive, truePositive + falseNegative),
+    rocAuc: rocAuc(samples),
+    confusion
+  };
+}
+
+function evaluateProfile(faces, name) {
+  return summarize(faces.map((face) => ({ genuine: face.genuine, ...face.results[name] })));
+}
+
+// Same face under other settings for `profile`. Whether it gets a verdict
+// at all depends on pose and quality only, so that is carried over.
+function rescore(face, profile, profileSettings) {
+  const recorded = face.results[profile.name];
+  if (recorded.score === null) return { genuine: face.genuine, score: null, isGenuine: null };
+  
+  const result = profile.score(face.input, null, profileSettings, { reliability: face.reliability });
+  return {
+    genuine: face.genuine,
+    score: result.score,
+    isGenuine: recorded.isGenuine === null ? null : result.isGenuine
+  };
+}
+
+// Small seeded generator (mulberry32) so a search can be repeated.
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalize(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? values.map((value) => value / total) : values.map(() => 1 / values.length);
+}
+
+// Two-decimal shares that still add up to exactly 1, as the config
+// validation requires.
+function roundShares(keys, values) {
+  const rounded = values.map((value) => Math.round(value * 100));
+  const largest = rounded.indexOf(Math.max(...rounded));
+  rounded[largest] += 100 - rounded.reduce((sum, value) => sum + value, 0);
+  
+  const shares = {};
+  keys.forEach((key, index) => { shares[key] = rounded[index] / 100; });
+  return shares;
+}
+
+// Profile settings with weights (and, for classic, the geometric blend
+// share) taken from `values`.
+function withShares(profileSettings, values) {
+  const weightKeys = Object.keys(profileSettings.weights);
+  const next = { ...profileSettings, weights: roundShares(weightKeys, values.slice(0, weightKeys.length)) };
+  
+  if (profileSettings.blend) {
+    const geometric = Math.round(values[weightKeys.length] * 100) / 100;
+    next.blend = { geometric, ai: Math.round((1 - geometric) * 100) / 100 };
+  }
+  
+  return next;
+}
+
+function split(faces, holdout, next) {
+  const shuffled = [...faces];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  
+  const held = Math.round(shuffled.length * holdout);
+  return { train: shuffled.slice(held), test: shuffled.slice(0, held) };
+}
+
+// Random search over a profile's weights (and classic's geometric/AI
+// blend) for the best ROC-AUC on the training faces: half the trials are
+// drawn uniformly over all weightings, the rest perturb the best one so far
+// with a shrinking step. A `holdout` share of the faces is kept out of the
+// search to show whether the improvement carries over.
+function searchWeights(faces, name, profileSettings, { trials = 2000, holdout = 0.25, seed = 1 } = {}) {
+  const profile = getProfile(name);
+  const next = random(seed);
+  const { train, test } = split(faces, holdout, next);
+  const weightCount = Object.keys(profileSettings.weights).length;
+  
+  const measure = (candidate, set) => summarize(set.map((face) => rescore(face, profile, candidate)));
+  const objective = (candidate) => rocAuc(train.map((face) => rescore(face, profile, candidate)));
+  
+  const encode = (settings) => [
+    ...Object.values(settings.weights),
+    ...(settings.blend ? [settings.blend.geometric] : [])
+  ];
+  const decode = (values) => withShares(profileSettings, [
+    ...normalize(values.slice(0, weightCount)),
+    ...values.slice(weightCount)
+  ]);
+  
+  let best = { values: encode(profileSettings), auc: objective(profileSettings) };
+  
+  for (let trial = 0; trial < trials; trial++) {
+    let values;
+    
+    if (trial < trials / 2) {
+      values = Array.from({ length: weightCount }, () => -Math.log(1 - next()));
+      if (profileSettings.blend) values.push(next());
+    } else {
+      const step = 0.2 * (1 - (trial - trials / 2) / (trials / 2)) + 0.01;
+      values = best.values.map((value) => Math.min(1, Math.max(0, value + (next() - 0.5) * 2 * step)));
+    }
+    
+    const candidate = decode(values);
+    const auc = objective(candidate);
+    if (auc !== null && (best.auc === null || auc > best.auc)) {
+      best = { values: encode(candidate), auc };
+    }
+  }
+  
+  const suggested = decode(best.values);
+  
+  return {
+    trials,
+    seed,
+    trainFaces: train.length,
+    holdoutFaces: test.length,
+    current: { train: measure(profileSettings, train), holdout: test.length > 0 ? measure(profileSettings, test) : null },
+    suggested: {
+      weights: suggested.weights,
+      ...(suggested.blend ? { blend: suggested.blend } : {}),
+      train: measure(suggested, train),
+      holdout: test.length > 0 ? measure(suggested, test) : null
+    }
+  };
+}
+
+module.exports = {
+  readLabels,
+  collectFaces,
+  summarize,
+  rocAuc,
+  evaluateProfile,
+  searchWeights
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Image } = require('./models');
+const { HttpError } = require('./errors');
+
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg'
+};
+
+function normalizeType(type) {
+  if (!type) return null;
+  const base = type.split(';')[0].trim().toLowerCase();
+  return TYPE_ALIASES[base] || base;
+}
+
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Validates the declared type against the file's magic bytes so corrupt or
+// mislabelled uploads are rejected before they reach the cache or canvas.
+function checkImageType(buffer, declaredType) {
+  const declared = normalizeType(declaredType);
+  
+  if (declared && !SUPPORTED_TYPES.includes(declared)) {
+    throw new HttpError(415, 'Unsupported image type', `Expected one of ${SUPPORTED_TYPES.join(', ')}, got ${declared}`);
+  }
+  
+  const type = sniffImageType(buffer);
+  
+  if (!type) {
+    throw new HttpError(400, 'Invalid image', 'Image data is not a valid JPEG, PNG or WebP file');
+  }
+  
+  if (declared && declared !== type) {
+    throw new HttpError(400, 'Invalid image', `Declared ${declared} but data is ${type}`);
+  }
+  
+  return type;
+}
+
+// canvas ignores EXIF orientation and has no WebP decoder, so sharp
+// upright-rotates images that carry an orientation flag and converts WebP
+// first. Boxes are then in the orientation the client displays.
+async function decodeImage(buffer, type) {
+  try {
+    const { orientation = 1 } = await sharp(buffer).metadata();
+    let source = buffer;
+    
+    if (type === 'image/webp') {
+      source = await sharp(buffer).rotate().png().toBuffer();
+    } else if (orientation > 1) {
+      const upright = sharp(buffer).rotate();
+      source = await (type === 'image/png' ? upright.png() : upright.jpeg({ quality: 95 })).toBuffer();
+    }
+    
+    const img = new Image();
+    img.src = source;
+    return { img, type, orientation };
+  } catch (error) {
+    throw new HttpError(400, 'Invalid image', `Image could not be decoded: ${error.message}`);
+  }
+}
+
+// Size of the pixel grid the cache key is computed from, and how many low
+// bits of each channel are dropped so decoder rounding doesn't change the
+// key. Lossy re-encodes and resizes drift further than that; the
+// perceptual hash is what matches those.
+const FINGERPRINT_SIZE = 16;
+const FINGERPRINT_SHIFT = 3;
+
+// Difference hash: one bit per horizontally adjacent pair on a 9x8
+// greyscale thumbnail, as 16 hex characters.
+function differenceHash(pixels) {
+  let hash = 0n;
+  
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Identifies an image by its content rather than its bytes. `key` hashes an
+// upright, downscaled and quantized copy of the pixels plus the aspect
+// ratio, so the same picture matches whatever its container, metadata or
+// EXIF orientation. `phash` is a perceptual hash for near-duplicate
+// lookups. Shrink-on-load is off so every format is resampled the same way.
+async function fingerprintImage(buffer) {
+  try {
+    const { width, height, orientation = 1 } = await sharp(buffer).metadata();
+    const aspect = orientation >= 5 ? height / width : width / height;
+    const upright = sharp(buffer).rotate();
+    
+    const [pixels, thumbnail] = await Promise.all([
+      upright.clone()
+        .resize(FINGERPRINT_SIZE, FINGERPRINT_SIZE, { fit: 'fill', fastShrinkOnLoad: false })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer(),
+      upright.clone()
+        .resize(9, 8, { fit: 'fill', fastShrinkOnLoad: false })
+        .greyscale()
+        .raw()
+        .toBuffer()
+    ]);
+    
+    const quantized = pixels.map((value) => value >> FINGERPRINT_SHIFT);
+    const key = crypto.createHash('sha256')
+      .update(aspect.toFixed(2))
+      .update(quantized)
+      .digest('hex');
+    
+    return { key, phash: differenceHash(thumbnail) };
+  } catch (error) {
+    throw new HttpError(400, 'Invalid image', `Image could not be decoded: ${error.message}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  normalizeType,
+  sniffImageType,
+  checkImageType,
+  decodeImage,
+  fingerprintImage
+};
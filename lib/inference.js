@@ -0,0 +1,177 @@
+const { faceapi, loadModels } = require('./models');
+const { decodeImage } = require('./image');
+const { getProfile, scoreDetections } = require('./scoring');
+const { detectorOptions, filterDetections } = require('./detector');
+const { measureBaselines } = require('./calibration');
+const { RETRY_ROTATIONS, rotateImage, unrotatePerson, unrotateDetection } = require('./orientation');
+const { renderAnnotated } = require('./render');
+
+// The CPU-heavy half of an analysis: decoding, the face-api networks,
+// scoring and drawing. Everything here runs inside a pool worker (see
+// pool.js) and only takes and returns plain data, so the HTTP side never
+// holds an image or a tensor.
+
+function since(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Same result as detectAllFaces().withFaceLandmarks().withFaceExpressions(),
+// but run one stage at a time so each can be timed. The landmark task is
+// fed the finished detections, and its run() is wrapped so the expression
+// task (which awaits it as its parent) reports where landmarks ended.
+// `detector` is the settings object from resolveDetector(); faces it
+// filters out never reach the landmark stage. Stage durations in ms are
+// written to `timings`.
+async function detectFaces(img, detector, timings = {}) {
+  let start = process.hrtime.bigint();
+  const found = await faceapi.detectAllFaces(img, detectorOptions(detector));
+  const detections = filterDetections(found, detector);
+  timings.detection = since(start);
+  
+  const landmarkTask = new faceapi.DetectAllFaceLandmarksTask(
+    Promise.resolve(detections.map((detection) => ({ detection }))),
+    img,
+    false
+  );
+  const runLandmarks = landmarkTask.run.bind(landmarkTask);
+  landmarkTask.run = async () => {
+    const landmarkStart = process.hrtime.bigint();
+    const result = await runLandmarks();
+    timings.landmarks = since(landmarkStart);
+    return result;
+  };
+  
+  start = process.hrtime.bigint();
+  const results = await landmarkTask.withFaceExpressions();
+  timings.expressions = since(start) - (timings.landmarks || 0);
+  
+  return results;
+}
+
+function addTimings(total, timings) {
+  Object.entries(timings).forEach(([stage, ms]) => {
+    total[stage] = (total[stage] || 0) + ms;
+  });
+}
+
+// Detects on the image as given and, when that finds nothing and
+// autoRotate is on, on 90/270/180 degree rotations of it. Returns the
+// detections, the image they were found on and the rotation used.
+async function detectWithRotation(img, detector, autoRotate, timings) {
+  const detections = await detectFaces(img, detector, timings);
+  
+  if (detections.length > 0 || !autoRotate) {
+    return { detections, image: img, rotation: 0 };
+  }
+  
+  for (const degrees of RETRY_ROTATIONS) {
+    const rotated = rotateImage(img, degrees);
+    const attempt = {};
+    const found = await detectFaces(rotated, detector, attempt);
+    addTimings(timings, attempt);
+    
+    if (found.length > 0) {
+      console.log(`🔄 Found faces after rotating ${degrees}°`);
+      return { detections: found, image: rotated, rotation: degrees };
+    }
+  }
+  
+  return { detections, image: img, rotation: 0 };
+}
+
+// 128-value identity descriptors from the recognition net, one per
+// detection, as plain arrays so they can leave the worker.
+async function describeFaces(img, detections) {
+  const described = await new faceapi.ComputeAllFaceDescriptorsTask(Promise.resolve(detections), img);
+  return described.map((result) => Array.from(result.descriptor));
+}
+
+// Decodes one image, detects (retrying rotations when asked) and scores
+// its faces. Detections come back in the orientation of the decoded image.
+async function analyze({ buffer, type, profile, detail, detector, baseline, autoRotate, settings, descriptors }, timings) {
+  let start = process.hrtime.bigint();
+  const { img } = await decodeImage(buffer, type);
+  timings.decode = since(start);
+  
+  await loadModels();
+  const { detections, image, rotation } = await detectWithRotation(img, detector, autoRotate, timings);
+  
+  start = process.hrtime.bigint();
+  let people = detections.length > 0
+    ? scoreDetections(detections, image, getProfile(profile), { detail, baseline, settings })
+    : [];
+  let found = detections;
+  if (rotation) {
+    people = people.map((person) => unrotatePerson(person, rotation));
+    found = detections.map((detection) => unrotateDetection(detection, rotation, image));
+  }
+  timings.scoring = since(start);
+  
+  if (!descriptors || detections.length === 0) {
+    return { img, detections: found, people, rotation };
+  }
+  
+  start = process.hrtime.bigint();
+  const described = await describeFaces(image, detections);
+  timings.descriptors = since(start);
+  
+  return { img, detections: found, people, rotation, descriptors: described };
+}
+
+const tasks = {
+  // With job.descriptors, also one recognition descriptor per person.
+  async analyze(job, timings) {
+    const { detections, people, rotation, descriptors } = await analyze(job, timings);
+    return descriptors
+      ? { faces: detections.length, people, rotation, descriptors }
+      : { faces: detections.length, people, rotation };
+  },
+  
+  // analyze plus the annotated copy, encoded as job.render.format.
+  async annotate(job, timings) {
+    const { img, detections, people, rotation } = await analyze(job, timings);
+    
+    const start = process.hrtime.bigint();
+    const output = renderAnnotated(img, detections, people, job.render);
+    timings.render = since(start);
+    
+    return { faces: detections.length, people, rotation, output };
+  },
+  
+  // One neutral face measured under every profile. Nothing beyond the face
+  // count is returned unless there is exactly one face.
+  async calibrate({ buffer, type, detector, settings }, timings) {
+    let start = process.hrtime.bigint();
+    const { img } = await decodeImage(buffer, type);
+    timings.decode = since(start);
+    
+    await loadModels();
+    const detections = await detectFaces(img, detector, timings);
+    if (detections.length !== 1) {
+      return { faces: detections.length };
+    }
+    
+    start = process.hrtime.bigint();
+    const [person] = scoreDetections(detections, img, getProfile('classic'), { settings });
+    const baselines = person.reliable ? measureBaselines(detections, img, settings) : null;
+    timings.scoring = since(start);
+    
+    return { faces: 1, person, happy: detections[0].expressions.happy || 0, baselines };
+  }
+};
+
+// Runs a named task and adds the stage durations (ms) to its result.
+async function runTask(name, job) {
+  if (!Object.prototype.hasOwnProperty.call(tasks, name)) {
+    throw new Error(`Unknown inference task "${name}"`);
+  }
+  
+  const timings = {};
+  const result = await tasks[name](job, timings);
+  return { ...result, timings };
+}
+
+module.exports = {
+  detectFaces,
+  runTask
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+// Message catalogs for the stable codes in responses: one
+// LOCALES_DIR/<language>.json per language with "verdicts" and "feedback"
+// maps. Scoring and the cache only deal in codes; text is added per
+// request, so one cached result serves every language. The default
+// locale must cover every code and the others fall back to it.
+
+const SECTIONS = ['verdicts', 'feedback'];
+
+function loadCatalogs() {
+  const catalogs = {};
+  
+  fs.readdirSync(config.locales.dir)
+    .filter((file) => file.endsWith('.json'))
+    .forEach((file) => {
+      const data = JSON.parse(fs.readFileSync(path.join(config.locales.dir, file), 'utf8'));
+      SECTIONS.forEach((section) => {
+        if (data[section] === null || typeof data[section] !== 'object') {
+          throw new Error(`Locale catalog ${file} has no "${section}" messages`);
+        }
+      });
+      catalogs[path.basename(file, '.json').toLowerCase()] = data;
+    });
+  
+  if (!Object.prototype.hasOwnProperty.call(catalogs, config.locales.default)) {
+    throw new Error(`No catalog for DEFAULT_LOCALE "${config.locales.default}" in ${config.locales.dir}`);
+  }
+  
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+const fallback = catalogs[config.locales.default];
+
+function listLocales() {
+  return Object.keys(catalogs);
+}
+
+// Whether the default catalog has text for `code`, so every locale can
+// show it. Used to validate codes in the scoring config.
+function hasMessage(section, code) {
+  return Object.prototype.hasOwnProperty.call(fallback[section], code);
+}
+
+function message(locale, section, code) {
+  const catalog = catalogs[locale] || fallback;
+  
+  if (Object.prototype.hasOwnProperty.call(catalog[section], code)) return catalog[section][code];
+  if (hasMessage(section, code)) return fallback[section][code];
+  return code;
+}
+
+// The code whose English text is `text`, or null. Data recorded before
+// responses carried codes holds the English text instead.
+function codeForText(section, text) {
+  const catalog = catalogs.en || fallback;
+  return Object.keys(catalog[section]).find((code) => catalog[section][code] === text) || null;
+}
+
+// Exact tag first ("pt-br"), then its language ("pt").
+function matchLocale(tag) {
+  const lower = tag.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(catalogs, lower)) return lower;
+  
+  const language = lower.split('-')[0];
+  return Object.prototype.hasOwnProperty.call(catalogs, language) ? language : null;
+}
+
+// Languages from an Accept-Language header, most preferred first.
+function parseAcceptLanguage(header) {
+  return String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+// ?lang= (or body.lang) wins and must name a catalog; otherwise the first
+// Accept-Language entry we have, then DEFAULT_LOCALE.
+function resolveLocale(req) {
+  const lang = (req.query && req.query.lang) || (req.body && !Buffer.isBuffer(req.body) && req.body.lang);
+  
+  if (lang) {
+    const locale = matchLocale(String(lang));
+    if (!locale) {
+      throw new HttpError(400, 'Unknown language', `Available languages: ${listLocales().join(', ')}`);
+    }
+    return locale;
+  }
+  
+  const header = req.get && req.get('accept-language');
+  const locale = header ? parseAcceptLanguage(header).map(matchLocale).find(Boolean) : null;
+  return locale || config.locales.default;
+}
+
+// Marks a response as localized for caches between us and the client.
+function setLocaleHeaders(res, locale) {
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+}
+
+// Adds the `verdict` text next to verdictCode and a `message` to each
+// feedback entry.
+function localizePerson(person, locale) {
+  const localized = {};
+  
+  Object.entries(person).forEach(([key, value]) => {
+    localized[key] = key === 'feedback'
+      ? value.map((item) => ({ ...item, message: message(locale, 'feedback', item.code) }))
+      : value;
+    if (key === 'verdictCode') localized.verdict = message(locale, 'verdicts', value);
+  });
+  
+  return localized;
+}
+
+function localizePeople(people, locale) {
+  return people.map((person) => localizePerson(person, locale));
+}
+
+module.exports = {
+  listLocales,
+  hasMessage,
+  message,
+  codeForText,
+  resolveLocale,
+  setLocaleHeaders,
+  localizePerson,
+  localizePeople
+};
@@ -0,0 +1,138 @@
+const client = require('prom-client');
+const pool = require('./pool');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'realsmile_' });
+
+const requests = new client.Counter({
+  name: 'realsmile_http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['route', 'method', 'status'],
+  registers: [register]
+});
+
+const requestDuration = new client.Histogram({
+  name: 'realsmile_http_request_duration_seconds',
+  help: 'Total HTTP request time',
+  labelNames: ['route'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const stageDuration = new client.Histogram({
+  name: 'realsmile_stage_duration_seconds',
+  help: 'Time per pipeline stage (queue, decode, detection, landmarks, expressions, scoring, descriptors, render)',
+  labelNames: ['route', 'stage'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const cacheHits = new client.Counter({
+  name: 'realsmile_cache_hits_total',
+  help: 'Analysis cache hits',
+  labelNames: ['route'],
+  registers: [register]
+});
+
+const cacheMisses = new client.Counter({
+  name: 'realsmile_cache_misses_total',
+  help: 'Analysis cache misses',
+  labelNames: ['route'],
+  registers: [register]
+});
+
+const facesDetected = new client.Counter({
+  name: 'realsmile_faces_detected_total',
+  help: 'Faces detected and scored',
+  labelNames: ['route'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'realsmile_inference_queue_depth',
+  help: 'Inference jobs waiting for a worker',
+  registers: [register],
+  collect() {
+    this.set(pool.status().queued);
+  }
+});
+
+new client.Gauge({
+  name: 'realsmile_inference_workers_busy',
+  help: 'Inference workers running a job',
+  registers: [register],
+  collect() {
+    this.set(pool.status().busy);
+  }
+});
+
+const errors = new client.Counter({
+  name: 'realsmile_errors_total',
+  help: 'Errors by type (the "error" field of the response, or "internal")',
+  labelNames: ['route', 'type'],
+  registers: [register]
+});
+
+function routeLabel(req) {
+  return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+// Records request count, latency and error type once the response is sent.
+// Handlers set res.locals.errorType through sendError.
+function httpMetrics(req, res, next) {
+  const end = requestDuration.startTimer();
+  
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    end({ route });
+    requests.inc({ route, method: req.method, status: res.statusCode });
+    if (res.locals.errorType) {
+      errors.inc({ route, type: res.locals.errorType });
+    }
+  });
+  
+  next();
+}
+
+function recordStages(route, timings) {
+  Object.entries(timings).forEach(([stage, ms]) => {
+    stageDuration.observe({ route, stage }, ms / 1000);
+  });
+}
+
+// Server-Timing header value for a set of stage durations in ms, so
+// browser dev tools show where a request spent its time.
+function serverTiming(timings) {
+  return Object.entries(timings)
+    .map(([stage, ms]) => `${stage};dur=${Math.round(ms * 10) / 10}`)
+    .join(', ');
+}
+
+function recordCache(route, hit) {
+  (hit ? cacheHits : cacheMisses).inc({ route });
+}
+
+function recordFaces(route, count) {
+  facesDetected.inc({ route }, count);
+}
+
+function recordError(route, type) {
+  errors.inc({ route, type });
+}
+
+async function metricsHandler(req, res) {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}
+
+module.exports = {
+  register,
+  routeLabel,
+  httpMetrics,
+  recordStages,
+  serverTiming,
+  recordCache,
+  recordFaces,
+  recordError,
+  metricsHandler
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const faceapi = require('@vladmandic/face-api');
+const canvas = require('canvas');
+require('@tensorflow/tfjs-node');
+const config = require('./config');
+
+const { Canvas, Image, ImageData } = canvas;
+faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+
+const MODELS = {
+  tinyFaceDetector: 'tiny_face_detector_model',
+  ssdMobilenetv1: 'ssd_mobilenetv1_model',
+  faceLandmark68Net: 'face_landmark_68_model',
+  faceExpressionNet: 'face_expression_model',
+  faceRecognitionNet: 'face_recognition_model'
+};
+
+const BUNDLED_MODEL_PATH = path.join(path.dirname(require.resolve('@vladmandic/face-api')), '..', 'model');
+const BUNDLED_CHECKSUMS = path.join(__dirname, 'model-checksums.json');
+
+let modelsLoaded = false;
+let modelSource = null;
+let loading = null;
+
+function modelPath() {
+  return path.resolve(config.modelPath || BUNDLED_MODEL_PATH);
+}
+
+function readChecksums() {
+  const file = config.modelChecksums || BUNDLED_CHECKSUMS;
+  return JSON.parse(fs.readFileSync(file, 'utf8')).files;
+}
+
+function verifyFile(dir, fileName, checksums) {
+  const expected = checksums[fileName];
+  if (!expected) {
+    throw new Error(`No checksum recorded for ${fileName}`);
+  }
+  
+  const data = fs.readFileSync(path.join(dir, fileName));
+  const actual = crypto.createHash('sha256').update(data).digest('hex');
+  if (actual !== expected) {
+    throw new Error(`Checksum mismatch for ${fileName}`);
+  }
+  
+  return data;
+}
+
+// Checks the manifest and every weight shard it references.
+function verifyModel(dir, modelName, checksums) {
+  const manifestFile = `${modelName}-weights_manifest.json`;
+  const manifest = JSON.parse(verifyFile(dir, manifestFile, checksums).toString());
+  
+  manifest.forEach((group) => {
+    group.paths.forEach((shard) => verifyFile(dir, shard, checksums));
+  });
+}
+
+async function loadFromDisk() {
+  const dir = modelPath();
+  const checksums = readChecksums();
+  
+  Object.values(MODELS).forEach((modelName) => verifyModel(dir, modelName, checksums));
+  console.log(`🔒 Model checksums verified in ${dir}`);
+  
+  await Promise.all(Object.keys(MODELS).map((net) => faceapi.nets[net].loadFromDisk(dir)));
+  return dir;
+}
+
+async function loadFromCdn() {
+  await Promise.all(Object.keys(MODELS).map((net) => faceapi.nets[net].loadFromUri(config.modelUrl)));
+  return config.modelUrl;
+}
+
+async function load() {
+  console.log('Loading AI models...');
+  
+  try {
+    modelSource = await loadFromDisk();
+  } catch (error) {
+    if (!config.modelCdnFallback) {
+      throw error;
+    }
+    console.warn(`⚠️  Local models unavailable (${error.message}), falling back to CDN`);
+    modelSource = await loadFromCdn();
+  }
+  
+  modelsLoaded = true;
+  console.log(`✅ Models loaded successfully from ${modelSource}`);
+}
+
+async function loadModels() {
+  if (modelsLoaded) {
+    console.log('Models already loaded');
+    return;
+  }
+  
+  if (!loading) {
+    loading = load().catch((error) => {
+      console.error('❌ Failed to load models:', error);
+      loading = null;
+      throw error;
+    });
+  }
+  
+  return loading;
+}
+
+function isLoaded() {
+  return modelsLoaded;
+}
+
+function getModelSource() {
+  return modelSource;
+}
+
+module.exports = {
+  faceapi,
+  Image,
+  loadModels,
+  isLoaded,
+  getModelSource,
+  verifyModel
+};
@@ -0,0 +1,585 @@
+const config = require('../config');
+const { version } = require('../../package.json');
+const { DETAIL_LEVELS, listProfiles } = require('../scoring');
+const { listDetectors } = require('../detector');
+const { listLocales } = require('../locales');
+
+// The OpenAPI description of /v1, served at /openapi.json. It is also the
+// contract the v1 routes are held to: JSON request bodies are validated
+// against each operation's requestBody and responses against its response
+// schema (see ./index.js), so a field added to a handler has to be added
+// here too.
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function json(schema, description = 'OK') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const errorResponse = (description) => json(ref('Error'), description);
+
+// The errors any route can answer with; operations add their own.
+const COMMON_ERRORS = {
+  400: errorResponse('Invalid request'),
+  429: errorResponse('Rate limit or daily quota exceeded'),
+  500: errorResponse('Internal server error')
+};
+
+const AUTH_ERRORS = {
+  401: errorResponse('Missing or unknown API key')
+};
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const day = { type: 'string', format: 'date', example: '2024-05-01' };
+const timestamp = { type: 'string', format: 'date-time' };
+// OpenAPI 3.0 ignores keywords next to a $ref, so a nullable reference
+// wraps it in allOf.
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const list = (items) => ({ type: 'array', items });
+const map = (values) => ({ type: 'object', additionalProperties: values });
+
+function object(properties, required = Object.keys(properties), extra = {}) {
+  return { type: 'object', properties, required, additionalProperties: false, ...extra };
+}
+
+// Body fields shared by the analysis routes. Query parameters of the same
+// name take precedence over them.
+const DETECTOR_OPTIONS = {
+  detector: { type: 'string', enum: listDetectors(), description: 'Detector backend (default DETECTOR)' },
+  inputSize: { type: 'integer', description: `Tiny detector input size, a multiple of 32 from ${config.detector.inputSize.min} to ${config.detector.inputSize.max}` },
+  scoreThreshold: { type: 'number', description: `Detector confidence from ${config.detector.scoreThreshold.min} to ${config.detector.scoreThreshold.max}` },
+  maxFaces: { type: 'integer', description: `Most faces returned, up to ${config.detector.maxFaces}` },
+  minFaceSize: { type: 'integer', description: `Smallest face in pixels, up to ${config.detector.minFaceSize.max}` },
+  autoRotate: { type: 'boolean', description: 'Retry rotated when no face is found (default ORIENTATION_RETRY)' }
+};
+
+const ANALYSIS_OPTIONS = {
+  profile: { type: 'string', enum: listProfiles(), description: 'Scoring profile (default SCORING_PROFILE, else classic)' },
+  detail: { type: 'string', enum: DETAIL_LEVELS },
+  calibration: { type: 'string', description: 'Token from POST /calibrate' },
+  lang: { type: 'string', description: `Response language, one of ${listLocales().join(', ')} (default from Accept-Language)` },
+  ...DETECTOR_OPTIONS
+};
+
+const image = { type: 'string', minLength: 1, description: 'Base64 image or data URL (JPEG, PNG or WebP)' };
+
+const schemas = {
+  Error: object({
+    error: { ...string, description: 'Short, stable description of the failure' },
+    message: string,
+    details: list(object({ path: string, message: string }))
+  }, ['error', 'message']),
+  
+  Point: object({ x: number, y: number }),
+  
+  BoundingBox: object({ x: number, y: number, width: number, height: number }, undefined, {
+    description: 'Position and size as fractions of the image'
+  }),
+  
+  Detector: object({
+    backend: { type: 'string', enum: listDetectors() },
+    inputSize: integer,
+    scoreThreshold: number,
+    maxFaces: integer,
+    minFaceSize: integer
+  }, ['backend', 'scoreThreshold', 'maxFaces', 'minFaceSize']),
+  
+  Metrics: object({
+    eyeConstriction: number,
+    cheekRaise: number,
+    mouthCurve: number,
+    symmetry: number,
+    lipCornerElevation: { ...number, description: 'v2 only' },
+    noseLipDistance: { ...number, description: 'v2 only' }
+  }, ['eyeConstriction', 'cheekRaise', 'mouthCurve', 'symmetry'], {
+    description: 'Metric scores from 0 to 100. The classic profile has four, v2 adds two.'
+  }),
+  
+  Feedback: object({
+    code: string,
+    metric: { ...string, description: 'The metric below its threshold; absent for quality and pose problems' },
+    message: string
+  }, ['code', 'message']),
+  
+  Pose: object({ yaw: number, pitch: number, roll: number }, undefined, {
+    description: 'Head angles in degrees'
+  }),
+  
+  Quality: object({
+    ok: boolean,
+    reasons: list(string),
+    sharpness: number,
+    brightness: number,
+    contrast: number,
+    faceSize: number
+  }),
+  
+  Detail: object({
+    confidence: number,
+    expressions: map(number),
+    landmarks: list(ref('Point')),
+    ratios: { type: 'object', description: 'Intermediate measurements per metric' }
+  }),
+  
+  Person: object({
+    cluster: { ...integer, description: 'Identity group within the batch (cluster=true only)' },
+    rank: { ...integer, description: 'Position by score within the photo (session entries only)' },
+    score: nullable({ ...number, description: 'Smile score from 0 to 100; null when QUALITY_GATE=skip dropped the face' }),
+    isGenuine: nullable({ ...boolean, description: 'null when pose or quality allow no confident verdict' }),
+    verdictCode: string,
+    verdict: string,
+    metrics: nullable(ref('Metrics')),
+    feedback: list(ref('Feedback')),
+    reliable: boolean,
+    pose: ref('Pose'),
+    quality: ref('Quality'),
+    boundingBox: ref('BoundingBox'),
+    calibrated: { ...boolean, description: 'Whether the calibration baseline applied to this face' },
+    detail: ref('Detail')
+  }, ['score', 'isGenuine', 'verdictCode', 'verdict', 'metrics', 'feedback', 'reliable', 'pose', 'quality', 'boundingBox']),
+  
+  AnalyzeRequest: object({ image, ...ANALYSIS_OPTIONS }, ['image']),
+  
+  AnalyzeResult: object({
+    people: list(ref('Person')),
+    profile: string,
+    scoringVersion: string,
+    detector: ref('Detector'),
+    rotation: { ...integer, description: 'Degrees clockwise the faces were found at (autoRotate only)' }
+  }, ['people', 'profile', 'scoringVersion', 'detector']),
+  
+  AnnotateRequest: object({
+    image,
+    format: { type: 'string', enum: ['png', 'jpeg', 'jpg'] },
+    landmarks: boolean,
+    ...ANALYSIS_OPTIONS
+  }, ['image']),
+  
+  BatchRequest: object({
+    images: {
+      type: 'array',
+      minItems: 1,
+      description: `Up to ${config.batch.maxImages} images`,
+      items: { oneOf: [image, object({ id: string, image }, ['image'])] }
+    },
+    cluster: { ...boolean, description: 'Group faces by identity across the batch' },
+    ...ANALYSIS_OPTIONS
+  }, ['images']),
+  
+  BatchItem: object({
+    index: integer,
+    id: string,
+    people: list(ref('Person')),
+    rotation: integer,
+    error: string,
+    message: string
+  }, ['index'], { description: 'Either people or an error/message pair' }),
+  
+  Cluster: object({
+    cluster: integer,
+    faces: integer,
+    appearances: list(object({ index: integer, id: string, face: integer }, ['index', 'face'])),
+    bestScore: nullable(number),
+    averageScore: nullable(number),
+    genuine: integer,
+    genuineRate: nullable(number),
+    metrics: nullable(map(nullable(number)))
+  }),
+  
+  BatchResult: object({
+    profile: string,
+    scoringVersion: string,
+    detector: ref('Detector'),
+    count: integer,
+    failed: integer,
+    results: list(ref('BatchItem')),
+    clusters: list(ref('Cluster'))
+  }, ['profile', 'scoringVersion', 'detector', 'count', 'failed', 'results']),
+  
+  SequenceRequest: object({
+    frames: { type: 'array', minItems: 1, items: image, description: `Up to ${config.sequence.maxFrames} frames` },
+    video: { ...string, description: 'Base64 MP4, MOV or WebM clip, instead of frames' },
+    fps: { ...number, description: 'Frame rate of the frames list' },
+    profile: ANALYSIS_OPTIONS.profile,
+    calibration: ANALYSIS_OPTIONS.calibration,
+    ...DETECTOR_OPTIONS
+  }, []),
+  
+  Track: object({
+    track: integer,
+    firstFrame: integer,
+    lastFrame: integer,
+    temporal: object({
+      genuineness: number,
+      isGenuine: boolean,
+      peakScore: number,
+      onsetSeconds: nullable(number),
+      holdSeconds: nullable(number),
+      eyeMouthSync: nullable(number)
+    }),
+    series: list(object({
+      frame: integer,
+      t: number,
+      score: number,
+      eyeConstriction: number,
+      cheekRaise: number,
+      mouthCurve: number
+    })),
+    boundingBox: ref('BoundingBox')
+  }),
+  
+  SequenceResult: object({
+    profile: string,
+    scoringVersion: string,
+    detector: ref('Detector'),
+    fps: number,
+    frameCount: integer,
+    duration: number,
+    failedFrames: list(object({ frame: integer, error: string, message: string })),
+    people: list(ref('Track'))
+  }),
+  
+  CalibrateRequest: object({ image, profile: ANALYSIS_OPTIONS.profile, ...DETECTOR_OPTIONS }, ['image']),
+  
+  Calibration: object({
+    token: string,
+    expiresAt: timestamp,
+    baselines: map(map(number))
+  }),
+  
+  SessionRequest: object({
+    name: { ...string, maxLength: config.sessions.maxNameLength },
+    profile: ANALYSIS_OPTIONS.profile,
+    ttlHours: { ...number, description: `Lifetime, up to ${config.sessions.maxTtlHours} hours` }
+  }, []),
+  
+  Session: object({
+    id: string,
+    name: nullable(string),
+    profile: string,
+    createdAt: timestamp,
+    expiresAt: timestamp,
+    hostToken: { ...string, description: 'Send as X-Session-Token to end the session' }
+  }, ['id', 'name', 'profile', 'createdAt', 'expiresAt']),
+  
+  EntryRequest: object({
+    image,
+    name: { ...string, minLength: 1, maxLength: config.sessions.maxNameLength, description: 'Participant name, here or as ?name=' },
+    lang: ANALYSIS_OPTIONS.lang,
+    ...DETECTOR_OPTIONS
+  }, ['image']),
+  
+  Standing: object({
+    rank: integer,
+    name: string,
+    bestScore: number,
+    submissions: integer,
+    genuine: integer,
+    lastSubmittedAt: timestamp,
+    averageScore: number
+  }),
+  
+  EntryResult: object({
+    session: string,
+    entry: object({
+      name: string,
+      score: number,
+      isGenuine: nullable(boolean),
+      verdictCode: string,
+      verdict: string,
+      scoringVersion: string,
+      faces: integer,
+      submittedAt: timestamp
+    }),
+    standing: ref('Standing'),
+    people: list(ref('Person'))
+  }),
+  
+  Leaderboard: object({
+    id: string,
+    name: nullable(string),
+    profile: string,
+    createdAt: timestamp,
+    expiresAt: timestamp,
+    submissions: integer,
+    standings: list(ref('Standing'))
+  }),
+  
+  Count: object({
+    total: { ...integer, description: 'Analyses since the counters started' },
+    date: day,
+    daily: { ...integer, description: 'Analyses on that day, plus DAILY_COUNT_BASELINE' }
+  }),
+  
+  CountHistory: object({
+    total: integer,
+    days: list(object({ date: day, count: integer }))
+  }),
+  
+  DailyStats: object({
+    days: list(object({ date: day, images: integer, faces: integer, genuine: integer, avgProcessingTime: number }))
+  }),
+  
+  Distribution: object({
+    from: day,
+    to: day,
+    images: integer,
+    faces: integer,
+    genuineRate: nullable(number),
+    avgProcessingTime: number,
+    scores: map(integer),
+    verdicts: map(integer),
+    facesPerImage: map(integer),
+    profiles: map(integer)
+  }),
+  
+  Usage: object({
+    key: string,
+    name: string,
+    rateLimit: object({ windowMs: integer, max: integer }),
+    dailyQuota: nullable(integer),
+    remainingToday: nullable(integer),
+    days: list(object({ date: day, requests: integer, images: integer }))
+  }),
+  
+  Status: object({
+    status: string,
+    version: string,
+    modelsLoaded: boolean,
+    profiles: list(string),
+    scoringVersion: string,
+    detectors: list(string),
+    languages: list(string),
+    analyses: object({ total: integer, daily: integer }),
+    streamSessions: integer
+  })
+};
+
+const rangeParameters = [
+  { name: 'from', in: 'query', schema: day, description: 'First day (default 29 days before to)' },
+  { name: 'to', in: 'query', schema: day, description: 'Last day (default today)' }
+];
+
+const profileParameter = { name: 'profile', in: 'query', schema: ANALYSIS_OPTIONS.profile };
+
+function imageBody(schemaName) {
+  return {
+    required: true,
+    description: 'JSON, a multipart "image" file, or the raw image bytes',
+    content: {
+      'application/json': { schema: ref(schemaName) },
+      'multipart/form-data': { schema: { type: 'object', properties: { image: { type: 'string', format: 'binary' } } } },
+      'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+      'image/png': { schema: { type: 'string', format: 'binary' } },
+      'image/webp': { schema: { type: 'string', format: 'binary' } }
+    }
+  };
+}
+
+function jsonBody(schemaName, required = true) {
+  return { required, content: { 'application/json': { schema: ref(schemaName) } } };
+}
+
+const apiKey = [{}, { apiKey: [] }, { bearer: [] }];
+
+const paths = {
+  '/': {
+    get: {
+      operationId: 'getStatus',
+      summary: 'Service status and analysis counts',
+      responses: { 200: json(ref('Status')), 500: COMMON_ERRORS[500] }
+    }
+  },
+  '/analyze': {
+    post: {
+      operationId: 'analyze',
+      summary: 'Score every face in an image',
+      security: apiKey,
+      parameters: [profileParameter],
+      requestBody: imageBody('AnalyzeRequest'),
+      responses: { 200: json(ref('AnalyzeResult')), ...COMMON_ERRORS, ...AUTH_ERRORS, 413: errorResponse('Image too large'), 415: errorResponse('Unsupported image type') }
+    }
+  },
+  '/analyze/annotated': {
+    post: {
+      operationId: 'annotate',
+      summary: 'Draw boxes, scores and verdicts onto the image',
+      security: apiKey,
+      parameters: [profileParameter],
+      requestBody: imageBody('AnnotateRequest'),
+      responses: {
+        200: {
+          description: 'The annotated image; X-Faces-Detected and X-Scoring-Version carry the counts',
+          content: { 'image/png': { schema: { type: 'string', format: 'binary' } }, 'image/jpeg': { schema: { type: 'string', format: 'binary' } } }
+        },
+        ...COMMON_ERRORS,
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  '/analyze/batch': {
+    post: {
+      operationId: 'analyzeBatch',
+      summary: 'Score several images, optionally grouping faces by person',
+      security: apiKey,
+      parameters: [profileParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: ref('BatchRequest') },
+          'multipart/form-data': { schema: { type: 'object', properties: { images: list({ type: 'string', format: 'binary' }) } } }
+        }
+      },
+      responses: { 200: json(ref('BatchResult')), ...COMMON_ERRORS, ...AUTH_ERRORS, 413: errorResponse('Too many images') }
+    }
+  },
+  '/analyze/sequence': {
+    post: {
+      operationId: 'analyzeSequence',
+      summary: 'Track smiles across video frames',
+      security: apiKey,
+      parameters: [profileParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: ref('SequenceRequest') },
+          'multipart/form-data': { schema: { type: 'object', properties: { frames: list({ type: 'string', format: 'binary' }), video: { type: 'string', format: 'binary' } } } },
+          'video/mp4': { schema: { type: 'string', format: 'binary' } },
+          'video/quicktime': { schema: { type: 'string', format: 'binary' } },
+          'video/webm': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: { 200: json(ref('SequenceResult')), ...COMMON_ERRORS, ...AUTH_ERRORS, 413: errorResponse('Too many frames'), 501: errorResponse('Video decoding unavailable') }
+    }
+  },
+  '/calibrate': {
+    post: {
+      operationId: 'calibrate',
+      summary: 'Measure a neutral face and return a calibration token',
+      security: apiKey,
+      requestBody: imageBody('CalibrateRequest'),
+      responses: { 200: json(ref('Calibration')), ...COMMON_ERRORS, ...AUTH_ERRORS }
+    }
+  },
+  '/sessions': {
+    post: {
+      operationId: 'createSession',
+      summary: 'Start an event leaderboard',
+      security: apiKey,
+      requestBody: jsonBody('SessionRequest', false),
+      responses: { 201: json(ref('Session'), 'Created'), ...COMMON_ERRORS, ...AUTH_ERRORS, 503: errorResponse('Too many sessions') }
+    }
+  },
+  '/sessions/{id}/entries': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: string }],
+    post: {
+      operationId: 'submitEntry',
+      summary: 'Score a participant photo into the leaderboard',
+      security: apiKey,
+      parameters: [{ name: 'name', in: 'query', schema: string, description: 'Participant name, when the body has none' }],
+      requestBody: imageBody('EntryRequest'),
+      responses: { 201: json(ref('EntryResult'), 'Created'), ...COMMON_ERRORS, ...AUTH_ERRORS, 404: errorResponse('Session not found'), 409: errorResponse('Session full') }
+    }
+  },
+  '/sessions/{id}/leaderboard': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: string }],
+    get: {
+      operationId: 'getLeaderboard',
+      summary: 'Current standings',
+      security: apiKey,
+      responses: { 200: json(ref('Leaderboard')), 404: errorResponse('Session not found'), ...AUTH_ERRORS }
+    }
+  },
+  '/sessions/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: string }],
+    delete: {
+      operationId: 'deleteSession',
+      summary: 'End a session',
+      security: apiKey,
+      parameters: [{ name: 'X-Session-Token', in: 'header', required: true, schema: string }],
+      responses: { 204: { description: 'Ended' }, 403: errorResponse('Wrong host token'), 404: errorResponse('Session not found'), ...AUTH_ERRORS }
+    }
+  },
+  '/count': {
+    get: {
+      operationId: 'getCount',
+      summary: 'Total analyses and the count for one day',
+      parameters: [{ name: 'date', in: 'query', schema: day, description: 'Day to count (default today)' }],
+      responses: { 200: json(ref('Count')), 400: COMMON_ERRORS[400] }
+    }
+  },
+  '/count/increment': {
+    post: {
+      operationId: 'incrementCount',
+      summary: 'Add one to the counters',
+      responses: { 200: json(object({ total: integer })) }
+    }
+  },
+  '/count/history': {
+    get: {
+      operationId: 'getCountHistory',
+      summary: 'Analyses per day',
+      parameters: rangeParameters,
+      responses: { 200: json(ref('CountHistory')), 400: COMMON_ERRORS[400] }
+    }
+  },
+  '/stats/daily': {
+    get: {
+      operationId: 'getDailyStats',
+      summary: 'Anonymized analysis aggregates per day',
+      parameters: rangeParameters,
+      responses: { 200: json(ref('DailyStats')), 400: COMMON_ERRORS[400] }
+    }
+  },
+  '/stats/distribution': {
+    get: {
+      operationId: 'getDistribution',
+      summary: 'Score, verdict and profile distribution over a range',
+      parameters: rangeParameters,
+      responses: { 200: json(ref('Distribution')), 400: COMMON_ERRORS[400] }
+    }
+  },
+  '/usage': {
+    get: {
+      operationId: 'getUsage',
+      summary: "The calling key's usage",
+      security: [{ apiKey: [] }, { bearer: [] }],
+      parameters: rangeParameters,
+      responses: { 200: json(ref('Usage')), ...AUTH_ERRORS }
+    }
+  },
+  '/usage/{id}': {
+    get: {
+      operationId: 'getKeyUsage',
+      summary: "Another key's usage (admin keys only)",
+      security: [{ apiKey: [] }, { bearer: [] }],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: string }, ...rangeParameters],
+      responses: { 200: json(ref('Usage')), ...AUTH_ERRORS, 403: errorResponse('Not an admin key'), 404: errorResponse('Unknown API key') }
+    }
+  }
+};
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'RealSmile API',
+    version,
+    description: 'Genuine-smile scoring. The unversioned routes are deprecated aliases of these.'
+  },
+  servers: [{ url: '/v1' }],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer' }
+    }
+  }
+};
+
+module.exports = document;
@@ -0,0 +1,112 @@
+const config = require('../config');
+const { HttpError } = require('../errors');
+const document = require('./document');
+const { validate } = require('./schema');
+
+const RESPONSE_VALIDATION = ['strict', 'log', 'off'];
+
+if (!RESPONSE_VALIDATION.includes(config.api.responseValidation)) {
+  throw new Error(`Unknown RESPONSE_VALIDATION "${config.api.responseValidation}" (expected one of: ${RESPONSE_VALIDATION.join(', ')})`);
+}
+
+// When the unversioned routes were superseded by /v1, as an RFC 9745
+// Deprecation date.
+const DEPRECATED_AT = Date.UTC(2026, 9, 19) / 1000;
+
+const sunset = config.api.sunset ? new Date(config.api.sunset) : null;
+if (sunset && Number.isNaN(sunset.getTime())) {
+  throw new Error(`LEGACY_SUNSET "${config.api.sunset}" is not a date`);
+}
+
+const operations = new Map();
+Object.values(document.paths).forEach((pathItem) => {
+  Object.values(pathItem).forEach((operation) => {
+    if (operation && operation.operationId) operations.set(operation.operationId, operation);
+  });
+});
+
+function jsonSchema(section) {
+  const media = section && section.content && section.content['application/json'];
+  return media ? media.schema : null;
+}
+
+// Holds res.json to the operation's response schema for the status being
+// sent. A mismatch is a bug in the handler, not the client: it is logged,
+// and with RESPONSE_VALIDATION=strict replaced by a 500 so clients never
+// see an undocumented shape.
+function checkResponses(res, operation) {
+  const send = res.json.bind(res);
+  
+  res.json = (body) => {
+    const schema = jsonSchema(operation.responses[res.statusCode]);
+    const details = schema ? validate(schema, body, document, 'response') : [];
+    
+    if (details.length === 0) return send(body);
+    
+    console.error(`❌ ${operation.operationId} response ${res.statusCode} does not match the API schema:`,
+      details.map(({ path, message }) => `${path} ${message}`).join('; '));
+    
+    if (config.api.responseValidation !== 'strict') return send(body);
+    
+    res.locals.errorType = 'Invalid response';
+    res.status(500);
+    return send({
+      error: 'Invalid response',
+      message: 'The server produced a response that does not match its API schema'
+    });
+  };
+}
+
+// Middleware for the route implementing `operationId`: a JSON body must
+// match its requestBody schema (400 with `details` otherwise), and JSON
+// responses are checked against the documented schemas. Multipart and raw
+// image bodies are left to the handlers.
+function contract(operationId) {
+  const operation = operations.get(operationId);
+  if (!operation) {
+    throw new Error(`No operation "${operationId}" in the OpenAPI document`);
+  }
+  
+  const bodySchema = jsonSchema(operation.requestBody);
+  
+  return (req, res, next) => {
+    if (bodySchema && req.is('application/json')) {
+      const details = validate(bodySchema, req.body, document, 'body');
+      if (details.length > 0) {
+        return next(new HttpError(400, 'Invalid request', 'The request body does not match the API schema', details));
+      }
+    }
+    
+    if (config.api.responseValidation !== 'off') {
+      checkResponses(res, operation);
+    }
+    next();
+  };
+}
+
+// Marks a legacy route as an alias of `successor` (a path, or a function
+// of the request; by default the same path under /v1), with Sunset once
+// LEGACY_SUNSET is set.
+function deprecated(successor = (req) => `/v1${req.path}`) {
+  return (req, res, next) => {
+    const link = typeof successor === 'function' ? successor(req) : successor;
+    
+    res.set('Deprecation', `@${DEPRECATED_AT}`);
+    res.set('Link', `<${link}>; rel="successor-version"`);
+    if (sunset) {
+      res.set('Sunset', sunset.toUTCString());
+    }
+    next();
+  };
+}
+
+function openapiHandler(req, res) {
+  res.json(document);
+}
+
+module.exports = {
+  document,
+  contract,
+  deprecated,
+  openapiHandler
+};
@@ -0,0 +1,131 @@
+// The subset of OpenAPI 3.0 schema objects the v1 document uses: $ref,
+// type (with nullable), enum, properties, required, additionalProperties,
+// items, minItems/maxItems, minimum/maximum, minLength/maxLength, allOf and
+// oneOf. Descriptive keywords (description, format, example) are ignored.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolve(schema, root) {
+  if (!schema.$ref) return schema;
+  
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  if (!Object.prototype.hasOwnProperty.call(root.components.schemas, name)) {
+    throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return root.components.schemas[name];
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+// Pushes a { path, message } for every way `value` fails `schema` onto
+// errors. `root` is the document that $refs point into.
+function check(errors, path, schema, value, root) {
+  const resolved = resolve(schema, root);
+  
+  if (value === null && resolved.nullable) return;
+  
+  if (resolved.allOf) {
+    resolved.allOf.forEach((part) => check(errors, path, part, value, root));
+  }
+  
+  // With no match, the problems are reported against the one option of
+  // the value's own type, when there is one.
+  if (resolved.oneOf) {
+    const results = resolved.oneOf.map((option) => validate(option, value, root, path));
+    const matching = results.filter((problems) => problems.length === 0).length;
+    const sameType = resolved.oneOf
+      .map((option, index) => ({ type: resolve(option, root).type, problems: results[index] }))
+      .filter(({ type }) => type && matchesType(type, value));
+    
+    if (matching === 0 && sameType.length === 1) {
+      errors.push(...sameType[0].problems);
+    } else if (matching !== 1) {
+      errors.push({ path, message: matching === 0 ? 'does not match any allowed shape' : 'matches more than one allowed shape' });
+    }
+    return;
+  }
+  
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    errors.push({ path, message: `must be ${resolved.type === 'integer' || resolved.type === 'array' || resolved.type === 'object' ? 'an' : 'a'} ${resolved.type}` });
+    return;
+  }
+  
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${resolved.enum.map(describe).join(', ')}` });
+    return;
+  }
+  
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      errors.push({ path, message: resolved.minLength === 1 ? 'must not be empty' : `must be at least ${resolved.minLength} characters` });
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      errors.push({ path, message: `must be at most ${resolved.maxLength} characters` });
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push({ path, message: `must be at least ${resolved.minimum}` });
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push({ path, message: `must be at most ${resolved.maximum}` });
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      errors.push({ path, message: `must have at least ${resolved.minItems} item(s)` });
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      errors.push({ path, message: `must have at most ${resolved.maxItems} item(s)` });
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => check(errors, `${path}[${index}]`, resolved.items, item, root));
+    }
+  }
+  
+  if (typeOf(value) === 'object') {
+    const properties = resolved.properties || {};
+    
+    (resolved.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    
+    Object.keys(value).forEach((key) => {
+      if (value[key] === undefined) return;
+      
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(errors, `${path}.${key}`, properties[key], value[key], root);
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not a known field' });
+      } else if (resolved.additionalProperties && resolved.additionalProperties !== true) {
+        check(errors, `${path}.${key}`, resolved.additionalProperties, value[key], root);
+      }
+    });
+  }
+}
+
+// Returns a list of { path, message } problems; empty when `value` is valid.
+function validate(schema, value, root, path = '') {
+  const errors = [];
+  check(errors, path, schema, value, root);
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,99 @@
+const { createCanvas } = require('canvas');
+
+// Rotations tried, in order, when an upright image has no faces. Sideways
+// portraits (90/270) are far more common than upside-down ones.
+const RETRY_ROTATIONS = [90, 270, 180];
+
+// Copy of `img` rotated clockwise by 90, 180 or 270 degrees.
+function rotateImage(img, degrees) {
+  const quarter = degrees === 90 || degrees === 270;
+  const canvas = createCanvas(quarter ? img.height : img.width, quarter ? img.width : img.height);
+  const ctx = canvas.getContext('2d');
+  
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((degrees * Math.PI) / 180);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  
+  return canvas;
+}
+
+// Maps a normalized (0-1) point found on an image rotated clockwise by
+// `degrees` back onto the unrotated image.
+function unrotatePoint({ x, y }, degrees) {
+  switch (degrees) {
+    case 90: return { x: y, y: 1 - x };
+    case 180: return { x: 1 - x, y: 1 - y };
+    case 270: return { x: 1 - y, y: x };
+    default: return { x, y };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function unrotateBox(box, degrees) {
+  const a = unrotatePoint({ x: box.x, y: box.y }, degrees);
+  const b = unrotatePoint({ x: box.x + box.width, y: box.y + box.height }, degrees);
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  
+  return { x, y, width: Math.max(a.x, b.x) - x, height: Math.max(a.y, b.y) - y };
+}
+
+// Moves a scored person's normalized box (and detail landmarks) back to
+// the orientation the client displays.
+function unrotatePerson(person, degrees) {
+  const mapped = { ...person, boundingBox: unrotateBox(person.boundingBox, degrees) };
+  
+  if (person.detail) {
+    mapped.detail = {
+      ...person.detail,
+      landmarks: person.detail.landmarks.map((point) => {
+        const mapped = unrotatePoint(point, degrees);
+        return { x: round(mapped.x), y: round(mapped.y) };
+      })
+    };
+  }
+  
+  return mapped;
+}
+
+// Same for a raw detection, in pixels. `rotated` is the image it was found
+// on; the result is a plain object with the fields annotation draws from.
+function unrotateDetection(detection, degrees, rotated) {
+  const { width, height } = rotated;
+  const original = degrees === 180 ? { width, height } : { width: height, height: width };
+  const toPixels = (point) => ({ x: point.x * original.width, y: point.y * original.height });
+  const box = detection.detection.box;
+  const mappedBox = unrotateBox(
+    { x: box.x / width, y: box.y / height, width: box.width / width, height: box.height / height },
+    degrees
+  );
+  
+  return {
+    detection: {
+      score: detection.detection.score,
+      box: {
+        x: mappedBox.x * original.width,
+        y: mappedBox.y * original.height,
+        width: mappedBox.width * original.width,
+        height: mappedBox.height * original.height
+      }
+    },
+    landmarks: {
+      positions: detection.landmarks.positions.map((point) =>
+        toPixels(unrotatePoint({ x: point.x / width, y: point.y / height }, degrees))
+      )
+    },
+    expressions: detection.expressions
+  };
+}
+
+module.exports = {
+  RETRY_ROTATIONS,
+  rotateImage,
+  unrotatePoint,
+  unrotatePerson,
+  unrotateDetection
+};
@@ -0,0 +1,248 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+// Runs inference tasks (see inference.js) on worker threads. Each worker
+// handles one job at a time; the rest wait in a FIFO queue of at most
+// WORKER_QUEUE_SIZE jobs, and run() rejects with a 503 carrying
+// Retry-After once it is full. A worker that crashes or exceeds the job
+// timeout is replaced.
+
+const WORKER_FILE = path.join(__dirname, 'worker.js');
+
+const { size, maxQueue, jobTimeoutMs, respawnDelayMs } = config.workers;
+
+if (!Number.isInteger(size) || size < 0) {
+  throw new Error(`Invalid WORKER_POOL_SIZE "${process.env.WORKER_POOL_SIZE}" (expected 0 or more)`);
+}
+if (!Number.isInteger(maxQueue) || maxQueue < 0) {
+  throw new Error(`Invalid WORKER_QUEUE_SIZE "${process.env.WORKER_QUEUE_SIZE}" (expected 0 or more)`);
+}
+
+const workers = [];
+const queue = [];
+const waiting = [];
+let nextId = 1;
+let spawned = false;
+let closing = false;
+let modelSource = null;
+
+// Moving average of job run time, used to estimate Retry-After.
+let averageJobMs = 1000;
+
+function since(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function toBuffer(data) {
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function toError(data) {
+  const error = data.status
+    ? new HttpError(data.status, data.error, data.message)
+    : new Error(data.message);
+  error.stack = data.stack;
+  return error;
+}
+
+function finish(slot, error, result) {
+  const { job } = slot;
+  clearTimeout(slot.timer);
+  slot.job = null;
+  slot.timer = null;
+  
+  if (error) {
+    job.reject(error);
+  } else {
+    const runMs = since(job.startedAt);
+    averageJobMs = averageJobMs * 0.8 + runMs * 0.2;
+    slot.ready = true;
+    
+    if (result.output) result.output = toBuffer(result.output);
+    result.timings = { queue: Number(job.startedAt - job.queuedAt) / 1e6, ...result.timings };
+    job.resolve(result);
+  }
+  
+  dispatch();
+}
+
+// Settles start() callers once every worker has loaded the models, or
+// as soon as one has failed to.
+function settleWaiting() {
+  const failed = workers.find((slot) => slot.loadError);
+  
+  if (failed) {
+    waiting.splice(0).forEach(({ reject }) => reject(new Error(failed.loadError)));
+  } else if (workers.every((slot) => slot.ready)) {
+    waiting.splice(0).forEach(({ resolve }) => resolve());
+  }
+}
+
+function handleMessage(slot, message) {
+  if (message.type === 'ready' || message.type === 'failed') {
+    slot.ready = message.type === 'ready';
+    slot.loadError = message.type === 'failed' ? message.message : null;
+    modelSource = message.modelSource || modelSource;
+    settleWaiting();
+    return;
+  }
+  
+  if (!slot.job || slot.job.id !== message.id) return;
+  
+  if (message.type === 'error') {
+    finish(slot, toError(message.error));
+  } else {
+    finish(slot, null, message.result);
+  }
+}
+
+function spawn() {
+  const slot = { worker: new Worker(WORKER_FILE), job: null, timer: null, ready: false, loadError: null };
+  
+  slot.worker.on('message', (message) => handleMessage(slot, message));
+  slot.worker.on('error', (error) => {
+    console.error('❌ Inference worker error:', error);
+    if (!slot.ready) {
+      slot.loadError = error.message;
+      settleWaiting();
+    }
+  });
+  slot.worker.on('exit', (code) => {
+    const index = workers.indexOf(slot);
+    if (index !== -1) workers.splice(index, 1);
+    
+    if (slot.job) {
+      const { job } = slot;
+      clearTimeout(slot.timer);
+      slot.job = null;
+      job.reject(new Error(`Inference worker exited with code ${code}`));
+    }
+    
+    // A worker that died before loading the models will likely die again;
+    // don't leave queued requests waiting on its replacement.
+    if (!slot.ready && !closing) {
+      queue.splice(0).forEach((job) => job.reject(new HttpError(503, 'Inference unavailable', 'The analysis workers failed to start')));
+    }
+    
+    if (!closing) {
+      console.warn(`⚠️  Inference worker exited (code ${code}), starting a new one`);
+      setTimeout(() => {
+        if (!closing) {
+          spawn();
+          dispatch();
+        }
+      }, respawnDelayMs).unref();
+    }
+  });
+  
+  workers.push(slot);
+  return slot;
+}
+
+// The slot leaves the pool before terminate() so dispatch() cannot hand
+// it another job while it shuts down; its exit still spawns a replacement.
+function timeOut(slot) {
+  const { job } = slot;
+  slot.job = null;
+  slot.timer = null;
+  workers.splice(workers.indexOf(slot), 1);
+  
+  job.reject(new HttpError(503, 'Analysis timed out', `Inference took longer than ${jobTimeoutMs / 1000}s`));
+  slot.worker.terminate();
+}
+
+function dispatch() {
+  workers.forEach((slot) => {
+    if (slot.job || queue.length === 0) return;
+    
+    const job = queue.shift();
+    job.startedAt = process.hrtime.bigint();
+    slot.job = job;
+    slot.timer = setTimeout(() => timeOut(slot), jobTimeoutMs);
+    slot.worker.postMessage({ id: job.id, task: job.task, job: job.payload });
+  });
+}
+
+function ensureWorkers() {
+  if (spawned) return;
+  spawned = true;
+  closing = false;
+  for (let i = 0; i < size; i++) spawn();
+}
+
+// Spawns the workers and resolves once each has loaded the models. With
+// WORKER_POOL_SIZE=0 the models load on the main thread instead.
+function start() {
+  if (size === 0) {
+    return require('./models').loadModels();
+  }
+  
+  ensureWorkers();
+  return new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    settleWaiting();
+  });
+}
+
+// Seconds until the queue ahead of a new job should have drained.
+function retryAfter() {
+  const perWorker = (queue.length + workers.length) / Math.max(1, workers.length);
+  return Math.max(1, Math.ceil((perWorker * averageJobMs) / 1000));
+}
+
+// Runs inference task `task` with `payload` (payload.buffer is the image)
+// and resolves to the task's result with a `timings` object of stage
+// durations in ms, including the time spent queued.
+function run(task, payload) {
+  if (size === 0) {
+    return require('./inference').runTask(task, payload).then((result) => ({
+      ...result,
+      timings: { queue: 0, ...result.timings }
+    }));
+  }
+  
+  ensureWorkers();
+  
+  if (queue.length >= maxQueue && workers.every((slot) => slot.job)) {
+    const error = new HttpError(503, 'Server busy', 'Too many images are waiting for analysis, try again shortly');
+    error.retryAfter = retryAfter();
+    return Promise.reject(error);
+  }
+  
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextId++, task, payload, resolve, reject, queuedAt: process.hrtime.bigint() });
+    dispatch();
+  });
+}
+
+function status() {
+  if (size === 0) {
+    const models = require('./models');
+    return { size: 0, busy: 0, queued: 0, maxQueue, modelsLoaded: models.isLoaded(), modelSource: models.getModelSource() };
+  }
+  
+  return {
+    size: workers.length,
+    busy: workers.filter((slot) => slot.job).length,
+    queued: queue.length,
+    maxQueue,
+    modelsLoaded: workers.some((slot) => slot.ready),
+    modelSource
+  };
+}
+
+async function close() {
+  closing = true;
+  spawned = false;
+  queue.splice(0).forEach((job) => job.reject(new HttpError(503, 'Server shutting down', 'Try again shortly')));
+  await Promise.all(workers.map((slot) => slot.worker.terminate()));
+}
+
+module.exports = {
+  start,
+  run,
+  status,
+  close
+};
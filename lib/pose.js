@@ -0,0 +1,123 @@
+const config = require('./config');
+
+// Rough head pose from the 68 landmarks, in degrees. Good enough to tell a
+// frontal face from a turned one, not a calibrated 3D fit.
+//   roll:  eye line angle; positive is clockwise in the image
+//   yaw:   nose tip offset between the jaw edges; positive when the nose
+//          points toward the right of the image
+//   pitch: nose base position between the eye line and the chin;
+//          positive when the head tips down
+const NEUTRAL_NOSE_RATIO = 0.45;
+const NOSE_DEPTH_RATIO = 0.3;
+
+const DEG = 180 / Math.PI;
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Same getters as face-api's FaceLandmarks68, over plain {x, y} points.
+function landmarkView(positions) {
+  const slice = (start, end) => () => positions.slice(start, end);
+  
+  return {
+    positions,
+    getJawOutline: slice(0, 17),
+    getLeftEyeBrow: slice(17, 22),
+    getRightEyeBrow: slice(22, 27),
+    getNose: slice(27, 36),
+    getLeftEye: slice(36, 42),
+    getRightEye: slice(42, 48),
+    getMouth: slice(48, 68)
+  };
+}
+
+function eyeLine(landmarks) {
+  const left = centroid(landmarks.getLeftEye());
+  const right = centroid(landmarks.getRightEye());
+  
+  return {
+    center: { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 },
+    angle: Math.atan2(right.y - left.y, right.x - left.x)
+  };
+}
+
+// Rotates the landmarks about the eye midpoint so the eyes are level.
+function levelLandmarks(landmarks) {
+  const { center, angle } = eyeLine(landmarks);
+  const cos = Math.cos(-angle);
+  const sin = Math.sin(-angle);
+  
+  return landmarkView(landmarks.positions.map((p) => {
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+  }));
+}
+
+function estimatePose(landmarks) {
+  const roll = eyeLine(landmarks).angle * DEG;
+  const level = levelLandmarks(landmarks);
+  const points = level.positions;
+  
+  const noseTip = points[30];
+  const noseBase = points[33];
+  const jawLeft = points[0];
+  const jawRight = points[16];
+  const chin = points[8];
+  const eyes = eyeLine(level).center;
+  
+  const toLeft = noseTip.x - jawLeft.x;
+  const toRight = jawRight.x - noseTip.x;
+  const yaw = Math.asin(clamp((toLeft - toRight) / (toLeft + toRight), -1, 1)) * DEG;
+  
+  const noseRatio = (noseBase.y - eyes.y) / (chin.y - eyes.y);
+  const pitch = Math.asin(clamp((noseRatio - NEUTRAL_NOSE_RATIO) / NOSE_DEPTH_RATIO, -1, 1)) * DEG;
+  
+  return { yaw: round(yaw), pitch: round(pitch), roll: round(roll) };
+}
+
+// 1 up to the tolerance, falling linearly to 0 at the limit.
+function falloff(angle, limit) {
+  const { tolerance } = config.pose;
+  const excess = Math.abs(angle) - tolerance;
+  return excess <= 0 ? 1 : clamp(1 - excess / (limit - tolerance), 0, 1);
+}
+
+// Works out how to score a face at the given pose: the landmarks to
+// measure (levelled when the head is tilted), per-metric reliability for
+// the profiles' weighted sums, and whether the pose is within limits.
+function poseAdjustment(landmarks, pose) {
+  const limits = config.pose;
+  const yawFactor = falloff(pose.yaw, limits.maxYaw);
+  const pitchFactor = falloff(pose.pitch, limits.maxPitch);
+  const levelled = Math.abs(pose.roll) > limits.rollTolerance;
+  
+  return {
+    landmarks: levelled ? levelLandmarks(landmarks) : landmarks,
+    levelled,
+    reliability: {
+      symmetry: yawFactor,
+      eyeConstriction: yawFactor,
+      cheekRaise: pitchFactor
+    },
+    reliable: Math.abs(pose.yaw) <= limits.maxYaw &&
+      Math.abs(pose.pitch) <= limits.maxPitch &&
+      Math.abs(pose.roll) <= limits.maxRoll
+  };
+}
+
+module.exports = {
+  estimatePose,
+  levelLandmarks,
+  poseAdjustment
+};
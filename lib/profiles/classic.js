@@ -0,0 +1,172 @@
+// Original server.js formula: four geometric metrics blended 40/60 with
+// the expression net's "happy" probability.
+
+const { weightedScore } = require('./weights');
+const { pickVerdict } = require('./verdicts');
+
+// Keys this profile reads from its section of the scoring config
+// (config/scoring.json). eyeAspectRatio and mouthAspectRatio are the
+// ratios of a typical neutral face; a calibration baseline
+// (lib/calibration.js) replaces them with the person's own.
+const SETTINGS = {
+  weights: ['eyeConstriction', 'cheekRaise', 'mouthCurve', 'symmetry'],
+  normalization: ['eyeAspectRatio', 'eyeAspectRange', 'mouthAspectRatio', 'mouthAspectRange', 'cheekRaiseScale'],
+  positive: ['eyeAspectRange', 'mouthAspectRange', 'cheekRaiseScale'],
+  blend: ['geometric', 'ai'],
+  genuine: ['minScore', 'happinessAbove'],
+  genuineVerdicts: true
+};
+
+function calculateEyeConstriction(landmarks, trace, norm) {
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+  
+  const leftEyeWidth = Math.abs(leftEye[3].x - leftEye[0].x);
+  const leftEyeHeight = Math.abs(leftEye[1].y - leftEye[5].y);
+  const rightEyeWidth = Math.abs(rightEye[3].x - rightEye[0].x);
+  const rightEyeHeight = Math.abs(rightEye[1].y - rightEye[5].y);
+  
+  const leftAspectRatio = leftEyeWidth / leftEyeHeight;
+  const rightAspectRatio = rightEyeWidth / rightEyeHeight;
+  const avgAspectRatio = (leftAspectRatio + rightAspectRatio) / 2;
+  
+  const eyeConstriction = Math.max(0, Math.min(1, (avgAspectRatio - norm.eyeAspectRatio) / norm.eyeAspectRange));
+  
+  if (trace) trace.eyeConstriction = { leftAspectRatio, rightAspectRatio, avgAspectRatio };
+  
+  return Math.round(eyeConstriction * 100);
+}
+
+function calculateCheekRaise(landmarks, trace, norm) {
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+  const nose = landmarks.getNose();
+  const mouth = landmarks.getMouth();
+  
+  const leftEyeBottom = leftEye[4].y;
+  const rightEyeBottom = rightEye[4].y;
+  const avgEyeBottom = (leftEyeBottom + rightEyeBottom) / 2;
+  
+  const noseBridge = nose[0].y;
+  const upperLip = mouth[14].y;
+  
+  const faceHeight = upperLip - noseBridge;
+  const eyeToNose = avgEyeBottom - noseBridge;
+  
+  const cheekRaise = eyeToNose / faceHeight;
+  const normalized = Math.max(0, Math.min(1, cheekRaise * norm.cheekRaiseScale));
+  
+  if (trace) trace.cheekRaise = { faceHeight, eyeToNose, ratio: cheekRaise };
+  
+  return Math.round(normalized * 100);
+}
+
+function calculateMouthCurve(landmarks, trace, norm) {
+  const mouth = landmarks.getMouth();
+  
+  const leftCorner = mouth[0];
+  const rightCorner = mouth[6];
+  const topCenter = mouth[14];
+  const bottomCenter = mouth[18];
+  
+  const mouthWidth = Math.abs(rightCorner.x - leftCorner.x);
+  const mouthHeight = Math.abs(bottomCenter.y - topCenter.y);
+  
+  const aspectRatio = mouthWidth / mouthHeight;
+  const normalized = Math.max(0, Math.min(1, (aspectRatio - norm.mouthAspectRatio) / norm.mouthAspectRange));
+  
+  if (trace) trace.mouthCurve = { mouthWidth, mouthHeight, aspectRatio };
+  
+  return Math.round(normalized * 100);
+}
+
+function calculateSymmetry(landmarks, trace) {
+  const jaw = landmarks.getJawOutline();
+  const nose = landmarks.getNose();
+  
+  const centerX = nose[3].x;
+  
+  let leftDistance = 0;
+  let rightDistance = 0;
+  
+  for (let i = 0; i < jaw.length / 2; i++) {
+    leftDistance += Math.abs(jaw[i].x - centerX);
+    rightDistance += Math.abs(jaw[jaw.length - 1 - i].x - centerX);
+  }
+  
+  const symmetryRatio = Math.min(leftDistance, rightDistance) / Math.max(leftDistance, rightDistance);
+  
+  if (trace) trace.symmetry = { leftDistance, rightDistance, symmetryRatio };
+  
+  return Math.round(symmetryRatio * 100);
+}
+
+// `settings` is this profile's section of the scoring config. `trace`,
+// when given, collects the intermediate ratios behind each metric for
+// detail=full responses. options.reliability down-weights metrics the
+// head pose makes untrustworthy (see lib/pose.js); options.baseline holds
+// calibrated neutral ratios from baseline().
+function score(detection, trace, settings, options = {}) {
+  const landmarks = detection.landmarks;
+  const expressions = detection.expressions;
+  const norm = { ...settings.normalization, ...options.baseline };
+  
+  const eyeConstriction = calculateEyeConstriction(landmarks, trace, norm);
+  const cheekRaise = calculateCheekRaise(landmarks, trace, norm);
+  const mouthCurve = calculateMouthCurve(landmarks, trace, norm);
+  const symmetry = calculateSymmetry(landmarks, trace);
+  
+  const happiness = expressions.happy || 0;
+  
+  const geometricScore = weightedScore(
+    { eyeConstriction, cheekRaise, mouthCurve, symmetry },
+    settings.weights,
+    options.reliability
+  );
+  
+  const aiScore = happiness * 100;
+  
+  const blendedScore = (geometricScore * settings.blend.geometric) + (aiScore * settings.blend.ai);
+  const finalScore = Math.round(blendedScore);
+  
+  if (trace) trace.blend = { geometricScore, aiScore, happiness };
+  
+  const isGenuine = finalScore >= settings.genuine.minScore || happiness > settings.genuine.happinessAbove;
+  const verdictCode = pickVerdict(settings.verdicts, finalScore, isGenuine);
+  
+  return {
+    score: finalScore,
+    isGenuine,
+    verdictCode,
+    metrics: {
+      eyeConstriction,
+      cheekRaise,
+      mouthCurve,
+      symmetry
+    }
+  };
+}
+
+// Neutral ratios for calibration, read from a detail=full trace of a
+// neutral face.
+function baseline(trace) {
+  return {
+    eyeAspectRatio: trace.eyeConstriction.avgAspectRatio,
+    mouthAspectRatio: trace.mouthCurve.aspectRatio
+  };
+}
+
+module.exports = {
+  name: 'classic',
+  detector: {
+    inputSize: 512,
+    scoreThreshold: 0.5
+  },
+  SETTINGS,
+  score,
+  baseline,
+  calculateEyeConstriction,
+  calculateCheekRaise,
+  calculateMouthCurve,
+  calculateSymmetry
+};
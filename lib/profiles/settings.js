@@ -0,0 +1,274 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const config = require('../config');
+const { hasMessage } = require('../locales');
+const classic = require('./classic');
+const v2 = require('./v2');
+
+// Weights, normalization constants, genuine thresholds, verdict bands and
+// feedback rules for every profile, and the sequence genuineness blend,
+// come from SCORING_CONFIG (JSON or YAML). Verdicts and feedback are codes with text in the locale
+// catalogs (see lib/locales.js). The file is
+// validated in full before it replaces the active settings, so a bad edit
+// is logged and ignored while the previous version keeps scoring.
+
+const SCHEMAS = {
+  [classic.name]: classic.SETTINGS,
+  [v2.name]: v2.SETTINGS
+};
+
+// The sequence (/analyze/sequence) genuineness blend, shared by every
+// profile. See lib/temporal.js.
+const TEMPORAL = {
+  weights: ['peakScore', 'eyeMouthSync', 'onset', 'hold'],
+  genuine: ['minGenuineness']
+};
+
+const BAND_KEYS = ['min', 'code', 'genuine'];
+const RULE_KEYS = ['metric', 'below', 'code'];
+
+let active = null;
+let watching = false;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Checks that `section` has exactly `keys`, each a finite number.
+function checkNumbers(errors, where, section, keys) {
+  if (!isObject(section)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  
+  keys.forEach((key) => {
+    if (!isNumber(section[key])) errors.push(`${where}.${key} must be a number`);
+  });
+  Object.keys(section).forEach((key) => {
+    if (!keys.includes(key)) errors.push(`${where}.${key} is not a known setting`);
+  });
+}
+
+function checkShares(errors, where, section) {
+  if (!isObject(section) || !Object.values(section).every(isNumber)) return;
+  
+  const values = Object.values(section);
+  if (values.some((value) => value < 0)) {
+    errors.push(`${where} must not be negative`);
+  }
+  if (Math.abs(values.reduce((sum, value) => sum + value, 0) - 1) > 0.001) {
+    errors.push(`${where} must add up to 1`);
+  }
+}
+
+function checkVerdicts(errors, where, bands, byGenuine) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push(`${where} must be a non-empty list`);
+    return;
+  }
+  
+  bands.forEach((band, index) => {
+    if (!isObject(band) || !isNumber(band.min) || !isText(band.code)) {
+      errors.push(`${where}[${index}] needs a numeric "min" and a "code"`);
+    } else if (!hasMessage('verdicts', band.code)) {
+      errors.push(`${where}[${index}].code "${band.code}" has no message in the default locale`);
+    } else if (band.genuine !== undefined && (!byGenuine || typeof band.genuine !== 'boolean')) {
+      errors.push(`${where}[${index}].genuine ${byGenuine ? 'must be true or false' : 'is not used by this profile'}`);
+    }
+    
+    if (isObject(band)) {
+      Object.keys(band).forEach((key) => {
+        if (!BAND_KEYS.includes(key)) errors.push(`${where}[${index}].${key} is not a known setting`);
+      });
+    }
+  });
+  
+  [true, false].forEach((genuine) => {
+    const covered = bands.some((band) =>
+      isObject(band) && isNumber(band.min) && band.min <= 0 && (band.genuine === undefined || band.genuine === genuine)
+    );
+    if (!covered) {
+      errors.push(`${where} needs a band with min 0${byGenuine ? ` for genuine: ${genuine}` : ''} so every score has a verdict`);
+    }
+  });
+}
+
+// Feedback rules flag a metric below a threshold with a feedback code.
+function checkFeedback(errors, where, rules, metrics) {
+  if (!Array.isArray(rules)) {
+    errors.push(`${where} must be a list`);
+    return;
+  }
+  
+  rules.forEach((rule, index) => {
+    if (!isObject(rule) || !metrics.includes(rule.metric) || !isNumber(rule.below) || !isText(rule.code)) {
+      errors.push(`${where}[${index}] needs a "metric" (one of ${metrics.join(', ')}), a numeric "below" and a "code"`);
+      return;
+    }
+    if (!hasMessage('feedback', rule.code)) {
+      errors.push(`${where}[${index}].code "${rule.code}" has no message in the default locale`);
+    }
+    Object.keys(rule).forEach((key) => {
+      if (!RULE_KEYS.includes(key)) errors.push(`${where}[${index}].${key} is not a known setting`);
+    });
+  });
+}
+
+// Returns a list of problems with a parsed config; empty when it is valid.
+function validate(data) {
+  const errors = [];
+  
+  if (!isObject(data)) {
+    return ['the config must be an object'];
+  }
+  if (!isText(data.version) && !isNumber(data.version)) {
+    errors.push('version is required');
+  }
+  
+  if (isObject(data.temporal)) {
+    checkNumbers(errors, 'temporal.weights', data.temporal.weights, TEMPORAL.weights);
+    checkShares(errors, 'temporal.weights', data.temporal.weights);
+    checkNumbers(errors, 'temporal.genuine', data.temporal.genuine, TEMPORAL.genuine);
+    Object.keys(data.temporal).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(TEMPORAL, key)) errors.push(`temporal.${key} is not a known setting`);
+    });
+  } else {
+    errors.push('temporal must be an object');
+  }
+  
+  if (!isObject(data.profiles)) {
+    errors.push('profiles must be an object');
+    return errors;
+  }
+  
+  Object.keys(data.profiles).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(SCHEMAS, name)) errors.push(`profiles.${name} is not a known profile`);
+  });
+  
+  Object.entries(SCHEMAS).forEach(([name, schema]) => {
+    const where = `profiles.${name}`;
+    const settings = data.profiles[name];
+    
+    if (!isObject(settings)) {
+      errors.push(`${where} is missing`);
+      return;
+    }
+    
+    checkNumbers(errors, `${where}.weights`, settings.weights, schema.weights);
+    checkShares(errors, `${where}.weights`, settings.weights);
+    checkNumbers(errors, `${where}.normalization`, settings.normalization, schema.normalization);
+    checkNumbers(errors, `${where}.genuine`, settings.genuine, schema.genuine);
+    if (schema.blend) {
+      checkNumbers(errors, `${where}.blend`, settings.blend, schema.blend);
+      checkShares(errors, `${where}.blend`, settings.blend);
+    }
+    
+    if (isObject(settings.normalization)) {
+      schema.positive.forEach((key) => {
+        if (isNumber(settings.normalization[key]) && settings.normalization[key] <= 0) {
+          errors.push(`${where}.normalization.${key} must be greater than 0`);
+        }
+      });
+    }
+    
+    checkVerdicts(errors, `${where}.verdicts`, settings.verdicts, schema.genuineVerdicts);
+    checkFeedback(errors, `${where}.feedback`, settings.feedback, schema.weights);
+  });
+  
+  return errors;
+}
+
+function parse(file, text) {
+  return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Reads and validates a config file. Throws with every problem listed.
+function readSettings(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let data;
+  
+  try {
+    data = parse(file, text);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+  
+  const errors = validate(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring config ${file}: ${errors.join('; ')}`);
+  }
+  
+  const profiles = {};
+  Object.keys(SCHEMAS).forEach((name) => {
+    const settings = data.profiles[name];
+    profiles[name] = { ...settings, verdicts: [...settings.verdicts].sort((a, b) => b.min - a.min) };
+  });
+  
+  return {
+    version: String(data.version),
+    // Changes whenever the content does, even if the version was not bumped.
+    hash: crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 12),
+    temporal: data.temporal,
+    profiles
+  };
+}
+
+// The active settings: { version, hash, temporal, profiles }. Loaded from
+// SCORING_CONFIG on first use; a broken file at startup is fatal.
+function current() {
+  if (!active) {
+    active = readSettings(config.scoring.file);
+    console.log(`🎛️  Scoring config ${active.version} loaded from ${config.scoring.file}`);
+  }
+  return active;
+}
+
+function reload() {
+  try {
+    const next = readSettings(config.scoring.file);
+    if (next.hash === current().hash) return false;
+    
+    active = next;
+    console.log(`🎛️  Scoring config ${active.version} reloaded`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Kept scoring config ${current().version}: ${error.message}`);
+    return false;
+  }
+}
+
+// Polls the file (fs.watch misses editors that save by renaming) and
+// reloads it when it changes.
+function watch() {
+  if (watching) return;
+  watching = true;
+  
+  fs.watchFile(config.scoring.file, { interval: config.scoring.pollMs }, (stats, previous) => {
+    if (stats.mtimeMs !== previous.mtimeMs) reload();
+  }).unref();
+}
+
+function unwatch() {
+  if (watching) {
+    fs.unwatchFile(config.scoring.file);
+    watching = false;
+  }
+}
+
+module.exports = {
+  validate,
+  readSettings,
+  current,
+  reload,
+  watch,
+  unwatch
+};
@@ -0,0 +1,221 @@
+// Original railway-backend.js formula: six purely geometric metrics with
+// Duchenne-style weighting (eye constriction and cheek raise dominate).
+
+const { weightedScore } = require('./weights');
+const { pickVerdict } = require('./verdicts');
+
+// Keys this profile reads from its section of the scoring config
+// (config/scoring.json). eyeAspectRatio and mouthCurvature are the ratios
+// of a typical neutral face; a calibration baseline (lib/calibration.js)
+// replaces them with the person's own.
+const SETTINGS = {
+  weights: ['eyeConstriction', 'cheekRaise', 'mouthCurve', 'symmetry', 'lipCornerElevation', 'noseLipDistance'],
+  normalization: ['eyeAspectRatio', 'eyeAspectRange', 'mouthCurvature', 'mouthCurveOffset', 'lipElevationOffset', 'noseHeightScale'],
+  positive: ['eyeAspectRange', 'noseHeightScale'],
+  genuine: ['eyeConstrictionAbove', 'cheekRaiseAbove'],
+  genuineVerdicts: false
+};
+
+function stable(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function calculateEyeConstriction(landmarks, trace, norm) {
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+  
+  const leftEyeWidth = stable(Math.abs(leftEye[3].x - leftEye[0].x));
+  const leftEyeHeight = stable(Math.abs(leftEye[1].y - leftEye[5].y));
+  const rightEyeWidth = stable(Math.abs(rightEye[3].x - rightEye[0].x));
+  const rightEyeHeight = stable(Math.abs(rightEye[1].y - rightEye[5].y));
+  
+  const leftAspectRatio = leftEyeWidth / leftEyeHeight;
+  const rightAspectRatio = rightEyeWidth / rightEyeHeight;
+  const avgAspectRatio = stable((leftAspectRatio + rightAspectRatio) / 2);
+  
+  const eyeConstriction = Math.max(0, Math.min(1, (norm.eyeAspectRatio - avgAspectRatio) / norm.eyeAspectRange));
+  
+  if (trace) trace.eyeConstriction = { leftAspectRatio, rightAspectRatio, avgAspectRatio };
+  
+  return Math.round(eyeConstriction * 100);
+}
+
+function calculateCheekRaise(landmarks, trace) {
+  const nose = landmarks.getNose();
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+  const mouth = landmarks.getMouth();
+  
+  const noseTip = nose[3];
+  const leftEyeBottom = leftEye[4];
+  const rightEyeBottom = rightEye[4];
+  const mouthTop = mouth[14];
+  
+  const eyeToNoseLeft = stable(Math.abs(leftEyeBottom.y - noseTip.y));
+  const eyeToNoseRight = stable(Math.abs(rightEyeBottom.y - noseTip.y));
+  const noseToMouth = stable(Math.abs(mouthTop.y - noseTip.y));
+  
+  const avgEyeToNose = stable((eyeToNoseLeft + eyeToNoseRight) / 2);
+  const cheekRaise = Math.max(0, Math.min(1, avgEyeToNose / noseToMouth));
+  
+  if (trace) trace.cheekRaise = { avgEyeToNose, noseToMouth, ratio: avgEyeToNose / noseToMouth };
+  
+  return Math.round(cheekRaise * 100);
+}
+
+function calculateMouthCurve(landmarks, trace, norm) {
+  const mouth = landmarks.getMouth();
+  
+  const leftCorner = mouth[0];
+  const rightCorner = mouth[6];
+  const topCenter = mouth[14];
+  const bottomCenter = mouth[18];
+  
+  const mouthWidth = stable(Math.abs(rightCorner.x - leftCorner.x));
+  const mouthHeight = stable(Math.abs(bottomCenter.y - topCenter.y));
+  const cornerAvgY = stable((leftCorner.y + rightCorner.y) / 2);
+  
+  const curvature = (topCenter.y - cornerAvgY) / mouthHeight;
+  const mouthCurve = Math.max(0, Math.min(1, curvature - norm.mouthCurvature + norm.mouthCurveOffset));
+  
+  if (trace) trace.mouthCurve = { mouthWidth, mouthHeight, curvature };
+  
+  return Math.round(mouthCurve * 100);
+}
+
+function calculateSymmetry(landmarks, trace) {
+  const leftEye = landmarks.getLeftEye();
+  const rightEye = landmarks.getRightEye();
+  const mouth = landmarks.getMouth();
+  
+  const leftEyeCenter = leftEye.reduce((acc, point) => ({
+    x: acc.x + point.x,
+    y: acc.y + point.y
+  }), { x: 0, y: 0 });
+  leftEyeCenter.x = stable(leftEyeCenter.x / leftEye.length);
+  leftEyeCenter.y = stable(leftEyeCenter.y / leftEye.length);
+  
+  const rightEyeCenter = rightEye.reduce((acc, point) => ({
+    x: acc.x + point.x,
+    y: acc.y + point.y
+  }), { x: 0, y: 0 });
+  rightEyeCenter.x = stable(rightEyeCenter.x / rightEye.length);
+  rightEyeCenter.y = stable(rightEyeCenter.y / rightEye.length);
+  
+  const leftMouthCorner = mouth[0];
+  const rightMouthCorner = mouth[6];
+  
+  const eyeYDiff = stable(Math.abs(leftEyeCenter.y - rightEyeCenter.y));
+  const eyeXDiff = stable(Math.abs(rightEyeCenter.x - leftEyeCenter.x));
+  const eyeSymmetry = 1 - (eyeYDiff / eyeXDiff);
+  
+  const mouthYDiff = stable(Math.abs(leftMouthCorner.y - rightMouthCorner.y));
+  const mouthXDiff = stable(Math.abs(rightMouthCorner.x - leftMouthCorner.x));
+  const mouthSymmetry = 1 - (mouthYDiff / mouthXDiff);
+  
+  const avgSymmetry = stable((eyeSymmetry + mouthSymmetry) / 2);
+  if (trace) trace.symmetry = { eyeSymmetry, mouthSymmetry, avgSymmetry };
+  return Math.round(Math.max(0, Math.min(1, avgSymmetry)) * 100);
+}
+
+function calculateLipCornerElevation(landmarks, trace, norm) {
+  const mouth = landmarks.getMouth();
+  const nose = landmarks.getNose();
+  
+  const leftCorner = mouth[0];
+  const rightCorner = mouth[6];
+  const upperLip = mouth[14];
+  const noseTip = nose[3];
+  
+  const cornerAvgY = stable((leftCorner.y + rightCorner.y) / 2);
+  const lipToNoseDistance = stable(Math.abs(upperLip.y - noseTip.y));
+  const cornerToNoseDistance = stable(Math.abs(cornerAvgY - noseTip.y));
+  
+  const elevation = cornerToNoseDistance / lipToNoseDistance;
+  if (trace) trace.lipCornerElevation = { cornerToNoseDistance, lipToNoseDistance, elevation };
+  return Math.round(Math.max(0, Math.min(1, elevation - norm.lipElevationOffset)) * 100);
+}
+
+function calculateNoseLipDistance(landmarks, trace, norm) {
+  const nose = landmarks.getNose();
+  const mouth = landmarks.getMouth();
+  
+  const noseTip = nose[3];
+  const upperLip = mouth[14];
+  const noseBase = nose[6];
+  
+  const tipToLipDistance = stable(Math.abs(upperLip.y - noseTip.y));
+  const noseHeight = stable(Math.abs(noseBase.y - noseTip.y));
+  
+  const compression = 1 - (tipToLipDistance / (noseHeight * norm.noseHeightScale));
+  if (trace) trace.noseLipDistance = { tipToLipDistance, noseHeight, compression };
+  return Math.round(Math.max(0, Math.min(1, compression)) * 100);
+}
+
+// `settings` is this profile's section of the scoring config. `trace`,
+// when given, collects the intermediate ratios behind each metric for
+// detail=full responses. options.reliability down-weights metrics the
+// head pose makes untrustworthy (see lib/pose.js); options.baseline holds
+// calibrated neutral ratios from baseline().
+function score(detection, trace, settings, options = {}) {
+  const landmarks = detection.landmarks;
+  const norm = { ...settings.normalization, ...options.baseline };
+  
+  const eyeConstriction = calculateEyeConstriction(landmarks, trace, norm);
+  const cheekRaise = calculateCheekRaise(landmarks, trace);
+  const mouthCurve = calculateMouthCurve(landmarks, trace, norm);
+  const symmetry = calculateSymmetry(landmarks, trace);
+  const lipCornerElevation = calculateLipCornerElevation(landmarks, trace, norm);
+  const noseLipDistance = calculateNoseLipDistance(landmarks, trace, norm);
+  
+  const finalScore = Math.round(weightedScore(
+    { eyeConstriction, cheekRaise, mouthCurve, symmetry, lipCornerElevation, noseLipDistance },
+    settings.weights,
+    options.reliability
+  ));
+  
+  const isGenuine = eyeConstriction > settings.genuine.eyeConstrictionAbove &&
+    cheekRaise > settings.genuine.cheekRaiseAbove;
+  const verdictCode = pickVerdict(settings.verdicts, finalScore, isGenuine);
+  
+  return {
+    score: finalScore,
+    isGenuine,
+    verdictCode,
+    metrics: {
+      eyeConstriction,
+      cheekRaise,
+      mouthCurve,
+      symmetry,
+      lipCornerElevation,
+      noseLipDistance
+    }
+  };
+}
+
+// Neutral ratios for calibration, read from a detail=full trace of a
+// neutral face.
+function baseline(trace) {
+  return {
+    eyeAspectRatio: trace.eyeConstriction.avgAspectRatio,
+    mouthCurvature: trace.mouthCurve.curvature
+  };
+}
+
+module.exports = {
+  name: 'v2',
+  detector: {
+    inputSize: 416,
+    scoreThreshold: 0.15
+  },
+  SETTINGS,
+  score,
+  baseline,
+  stable,
+  calculateEyeConstriction,
+  calculateCheekRaise,
+  calculateMouthCurve,
+  calculateSymmetry,
+  calculateLipCornerElevation,
+  calculateNoseLipDistance
+};
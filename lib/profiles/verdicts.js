@@ -0,0 +1,14 @@
+// Code of the first verdict band (from the scoring config, highest "min"
+// first) that the score reaches. Bands with a "genuine" flag only apply to
+// faces with that isGenuine value; validation guarantees one always
+// matches.
+function pickVerdict(bands, score, isGenuine) {
+  const band = bands.find((entry) =>
+    score >= entry.min && (entry.genuine === undefined || entry.genuine === isGenuine)
+  );
+  return band.code;
+}
+
+module.exports = {
+  pickVerdict
+};
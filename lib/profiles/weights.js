@@ -0,0 +1,27 @@
+// Weighted sum of a profile's metrics. `reliability` (0–1 per metric,
+// default 1) scales a metric's weight down and renormalizes the rest, so a
+// metric the head pose makes untrustworthy counts for less instead of
+// dragging the score down. With every reliability at 1 this is the plain
+// weighted sum the profiles have always used.
+function weightedScore(metrics, weights, reliability = {}) {
+  let total = 0;
+  let weightSum = 0;
+  let adjustedSum = 0;
+  
+  for (const [name, weight] of Object.entries(weights)) {
+    const factor = reliability[name] === undefined ? 1 : reliability[name];
+    total += metrics[name] * weight * factor;
+    weightSum += weight;
+    adjustedSum += weight * factor;
+  }
+  
+  if (adjustedSum === weightSum) {
+    return total;
+  }
+  
+  return adjustedSum > 0 ? total * (weightSum / adjustedSum) : 0;
+}
+
+module.exports = {
+  weightedScore
+};
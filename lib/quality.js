@@ -0,0 +1,87 @@
+const { createCanvas } = require('canvas');
+const config = require('./config');
+
+const GATES = ['flag', 'skip', 'off'];
+
+if (!GATES.includes(config.quality.gate)) {
+  throw new Error(`Unknown QUALITY_GATE "${config.quality.gate}" (expected one of: ${GATES.join(', ')})`);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Greyscale copy of the face box, resampled to a fixed size so sharpness is
+// comparable between large and small faces (small ones blur when scaled up,
+// which is what we want to catch).
+function faceLuminance(img, box, size) {
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const width = Math.max(1, Math.min(img.width, box.x + box.width) - x);
+  const height = Math.max(1, Math.min(img.height, box.y + box.height) - y);
+  
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, x, y, width, height, 0, 0, size, size);
+  const { data } = ctx.getImageData(0, 0, size, size);
+  
+  const luminance = new Float32Array(size * size);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  
+  return luminance;
+}
+
+function meanAndVariance(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  const mean = sum / values.length;
+  
+  let variance = 0;
+  for (let i = 0; i < values.length; i++) variance += (values[i] - mean) ** 2;
+  
+  return { mean, variance: variance / values.length };
+}
+
+function laplacianVariance(luminance, size) {
+  const responses = new Float32Array((size - 2) * (size - 2));
+  let n = 0;
+  
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      responses[n++] = 4 * luminance[i] - luminance[i - 1] - luminance[i + 1] - luminance[i - size] - luminance[i + size];
+    }
+  }
+  
+  return meanAndVariance(responses).variance;
+}
+
+// Measures one face and checks it against the configured thresholds.
+// `box` is the detection box in image pixels.
+function assessQuality(img, box) {
+  const limits = config.quality;
+  const luminance = faceLuminance(img, box, limits.sampleSize);
+  const { mean, variance } = meanAndVariance(luminance);
+  
+  const quality = {
+    sharpness: round(laplacianVariance(luminance, limits.sampleSize)),
+    brightness: round(mean),
+    contrast: round(Math.sqrt(variance)),
+    faceSize: Math.round(Math.min(box.width, box.height))
+  };
+  
+  const reasons = [];
+  if (quality.sharpness < limits.minSharpness) reasons.push('blurry');
+  if (quality.brightness < limits.minBrightness) reasons.push('too_dark');
+  if (quality.brightness > limits.maxBrightness) reasons.push('too_bright');
+  if (quality.contrast < limits.minContrast) reasons.push('low_contrast');
+  if (quality.faceSize < limits.minFaceSize) reasons.push('face_too_small');
+  
+  return { ok: reasons.length === 0, reasons, ...quality };
+}
+
+module.exports = {
+  assessQuality
+};
@@ -0,0 +1,61 @@
+const { createCanvas } = require('canvas');
+const config = require('./config');
+const { message } = require('./locales');
+
+const GENUINE_COLOR = '#22c55e';
+const POSED_COLOR = '#f97316';
+const LANDMARK_COLOR = '#38bdf8';
+
+// Draws each face's box, an optional 68-point landmark overlay and a
+// "score · verdict" label, in `locale`, onto a copy of the image. Sizes
+// scale with the image so share cards look the same from selfies to group
+// shots.
+function renderAnnotated(img, detections, people, { landmarks = false, format = 'png', locale = config.locales.default } = {}) {
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  
+  const unit = Math.max(1, Math.min(img.width, img.height) / 400);
+  const fontSize = Math.round(14 * unit);
+  const lineWidth = Math.max(2, Math.round(2 * unit));
+  
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'top';
+  
+  people.forEach((person, index) => {
+    const { box } = detections[index].detection;
+    const color = person.isGenuine ? GENUINE_COLOR : POSED_COLOR;
+    
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+    
+    if (landmarks) {
+      ctx.fillStyle = LANDMARK_COLOR;
+      detections[index].landmarks.positions.forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, Math.max(1, lineWidth * 0.75), 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+    
+    const label = `${person.score === null ? '–' : person.score} · ${message(locale, 'verdicts', person.verdictCode)}`;
+    const padding = Math.round(4 * unit);
+    const labelWidth = ctx.measureText(label).width + padding * 2;
+    const labelHeight = fontSize + padding * 2;
+    const labelY = box.y >= labelHeight ? box.y - labelHeight : box.y + box.height;
+    
+    ctx.fillStyle = color;
+    ctx.fillRect(box.x, labelY, labelWidth, labelHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, box.x + padding, labelY + padding);
+  });
+  
+  return format === 'image/jpeg'
+    ? canvas.toBuffer('image/jpeg', { quality: config.annotate.jpegQuality })
+    : canvas.toBuffer('image/png');
+}
+
+module.exports = {
+  renderAnnotated
+};
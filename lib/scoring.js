@@ -0,0 +1,157 @@
+const classic = require('./profiles/classic');
+const v2 = require('./profiles/v2');
+const { estimatePose, poseAdjustment } = require('./pose');
+const { assessQuality } = require('./quality');
+const scoringSettings = require('./profiles/settings');
+const config = require('./config');
+
+const profiles = {
+  [classic.name]: classic,
+  [v2.name]: v2
+};
+
+function listProfiles() {
+  return Object.keys(profiles);
+}
+
+function getProfile(name) {
+  return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+}
+
+// Verdict codes for faces without a confident reading. Their text, like
+// every verdict's, comes from the locale catalogs.
+const LOW_QUALITY_VERDICT = 'low_quality';
+const UNRELIABLE_VERDICT = 'pose_unreliable';
+
+// Response detail levels. 'basic' is the historical shape; 'full' adds the
+// raw model outputs and the intermediate ratios behind each metric.
+const DETAIL_LEVELS = ['basic', 'full'];
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function roundAll(values) {
+  const rounded = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (typeof value === 'number') rounded[key] = round(value);
+    else if (value && typeof value === 'object') rounded[key] = roundAll(value);
+    else rounded[key] = value;
+  }
+  return rounded;
+}
+
+function describeDetection(detection, img, trace) {
+  return {
+    confidence: round(detection.detection.score),
+    expressions: roundAll({ ...detection.expressions }),
+    landmarks: detection.landmarks.positions.map((point) => ({
+      x: round(point.x / img.width),
+      y: round(point.y / img.height)
+    })),
+    ratios: roundAll(trace)
+  };
+}
+
+function faceArea(detection) {
+  return detection.detection.box.width * detection.detection.box.height;
+}
+
+// Feedback codes for one face: the `reasons` it got no confident verdict
+// (quality problems or a turned head), then every metric below its rule's
+// threshold.
+function feedbackFor(reasons, metrics, rules) {
+  const feedback = reasons.map((code) => ({ code }));
+  
+  if (metrics) {
+    rules.forEach(({ metric, below, code }) => {
+      if (metrics[metric] < below) feedback.push({ code, metric });
+    });
+  }
+  
+  return feedback;
+}
+
+// options.baseline is one person's calibrated neutral ratios for this
+// profile. It only applies to the largest face, which in the selfie flow
+// calibration is meant for is the person who calibrated. options.settings
+// is the scoring config to use (see profiles/settings.js), by default the
+// active one.
+function scoreDetections(detections, img, profile, options = {}) {
+  const { detail = 'basic', baseline = null } = options;
+  const settings = options.settings || scoringSettings.current();
+  const profileSettings = settings.profiles[profile.name];
+  const calibrated = baseline
+    ? detections.reduce((largest, detection) => (faceArea(detection) > faceArea(largest) ? detection : largest), detections[0])
+    : null;
+  
+  return detections.map((detection) => {
+    const box = detection.detection.box;
+    const trace = detail === 'full' ? {} : null;
+    const pose = estimatePose(detection.landmarks);
+    const adjustment = poseAdjustment(detection.landmarks, pose);
+    const quality = assessQuality(img, box);
+    const gated = !quality.ok && config.quality.gate !== 'off';
+    
+    const result = profile.score(
+      { landmarks: adjustment.landmarks, expressions: detection.expressions, detection: detection.detection },
+      trace,
+      profileSettings,
+      { reliability: adjustment.reliability, baseline: detection === calibrated ? baseline : null }
+    );
+    
+    // Past the pose limits, or below the quality thresholds, the score is
+    // still reported (unless QUALITY_GATE=skip) but without a confident
+    // verdict.
+    const reasons = [];
+    if (gated) {
+      reasons.push(...quality.reasons);
+      result.isGenuine = null;
+      result.verdictCode = LOW_QUALITY_VERDICT;
+      if (config.quality.gate === 'skip') {
+        result.score = null;
+        result.metrics = null;
+      }
+    } else if (!adjustment.reliable) {
+      result.isGenuine = null;
+      result.verdictCode = UNRELIABLE_VERDICT;
+      reasons.push('head_turned');
+    }
+    
+    if (trace) {
+      trace.pose = { levelled: adjustment.levelled, reliability: adjustment.reliability };
+    }
+    
+    const person = {
+      ...result,
+      feedback: feedbackFor(reasons, result.metrics, profileSettings.feedback),
+      reliable: adjustment.reliable && !gated,
+      pose,
+      quality,
+      boundingBox: {
+        x: box.x / img.width,
+        y: box.y / img.height,
+        width: box.width / img.width,
+        height: box.height / img.height
+      }
+    };
+    
+    if (baseline) {
+      person.calibrated = detection === calibrated;
+    }
+    
+    if (trace) {
+      person.detail = describeDetection(detection, img, trace);
+    }
+    
+    return person;
+  });
+}
+
+module.exports = {
+  DETAIL_LEVELS,
+  listProfiles,
+  getProfile,
+  scoreDetections
+};
@@ -0,0 +1,208 @@
+const config = require('./config');
+const { HttpError, sendError } = require('./errors');
+const { checkImageType } = require('./image');
+const { readFileImage, readBase64Image } = require('./upload');
+const { resolveProfile, logFailure } = require('./analyze');
+const { resolveDetector } = require('./detector');
+const { resolveCalibration } = require('./calibration');
+const scoringSettings = require('./profiles/settings');
+const { SUPPORTED_VIDEO_TYPES, sniffVideoType, extractFrames } = require('./video');
+const { trackFaces } = require('./tracking');
+const { temporalScore } = require('./temporal');
+const pool = require('./pool');
+const { stats, recordPeople } = require('./stats');
+const metrics = require('./metrics');
+const { refundRejected } = require('./auth');
+
+function checkVideoType(buffer, declaredType) {
+  if (declaredType && !SUPPORTED_VIDEO_TYPES.includes(declaredType.split(';')[0].trim())) {
+    throw new HttpError(415, 'Unsupported video type', `Expected one of ${SUPPORTED_VIDEO_TYPES.join(', ')}, got ${declaredType}`);
+  }
+  if (!sniffVideoType(buffer)) {
+    throw new HttpError(400, 'Invalid video', 'Video data is not a valid MP4, MOV or WebM file');
+  }
+}
+
+// Resolves the request into a list of frames plus the frame rate used for
+// timestamps. Each frame's read() returns its image, so a bad one fails on
+// its own like a batch item. Video is decoded at config.sequence.fps;
+// explicit frame lists may state their own fps.
+async function readSequenceInput(req) {
+  const files = req.files || {};
+  const body = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+  let video = null;
+  
+  if (files.video) {
+    video = readFileImage(files.video[0]);
+  } else if (Buffer.isBuffer(req.body)) {
+    video = { buffer: req.body, declaredType: req.get('content-type') };
+  } else if (body.video) {
+    video = readBase64Image(body.video);
+  }
+  
+  if (video) {
+    checkVideoType(video.buffer, video.declaredType);
+    const frames = await extractFrames(video.buffer);
+    
+    if (frames.length === 0) {
+      throw new HttpError(400, 'Invalid video', 'No frames could be decoded');
+    }
+    
+    return {
+      fps: config.sequence.fps,
+      frames: frames.map((buffer) => ({ read: () => ({ buffer, declaredType: 'image/png' }) }))
+    };
+  }
+  
+  let frames;
+  if (files.frames) {
+    frames = files.frames.map((file) => ({ read: () => readFileImage(file) }));
+  } else if (Array.isArray(body.frames) && body.frames.length > 0) {
+    if (body.frames.length > config.sequence.maxFrames) {
+      throw new HttpError(413, 'Too many frames', `A sequence may contain at most ${config.sequence.maxFrames} frames`);
+    }
+    frames = body.frames.map((image) => ({ read: () => readBase64Image(image) }));
+  } else {
+    throw new HttpError(400, 'No frames provided', 'Send a "frames" array, multipart "frames" files or a "video" clip');
+  }
+  
+  const fps = parseFloat((req.query && req.query.fps) || body.fps) || config.sequence.fps;
+  if (fps <= 0 || fps > 120) {
+    throw new HttpError(400, 'Invalid fps', 'fps must be between 0 and 120');
+  }
+  
+  return { fps, frames };
+}
+
+// Quota cost of a sequence: one unit per frame, counting the frames a video
+// decodes to. The input is read (and a video decoded) here, before anything
+// is charged, and kept on the request for the handler.
+async function sequenceCost(req) {
+  req.sequenceInput = await readSequenceInput(req);
+  return req.sequenceInput.frames.length;
+}
+
+// Frames go through the inference pool one at a time, so a long clip
+// shares the workers with other requests instead of filling the queue.
+// Every frame is scored with the same `settings`. A frame that cannot be
+// analyzed is listed in `failures` and counts as a frame without faces, so
+// tracks bridge it like a missed detection.
+async function detectFrames(frames, profile, detector, route, baseline, settings) {
+  const results = [];
+  const failures = [];
+  for (let index = 0; index < frames.length; index++) {
+    try {
+      const { buffer, declaredType } = frames[index].read();
+      const type = checkImageType(buffer, declaredType);
+      const { faces, people, timings } = await pool.run('analyze', {
+        buffer,
+        type,
+        profile: profile.name,
+        detail: 'basic',
+        detector,
+        baseline,
+        autoRotate: false,
+        settings
+      });
+      metrics.recordStages(route, timings);
+      metrics.recordFaces(route, faces);
+      results.push(people);
+    } catch (error) {
+      failures.push({ frame: index, error });
+      results.push([]);
+    }
+  }
+  
+  return { results, failures };
+}
+
+function createSequenceHandler(defaultProfile) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    stats.requestCount++;
+    
+    console.log(`🎞️  Sequence request #${stats.requestCount} from ${req.ip}`);
+    
+    try {
+      const profile = resolveProfile(req, defaultProfile);
+      const detector = resolveDetector(req, profile);
+      const baseline = resolveCalibration(req, profile);
+      const { fps, frames } = req.sequenceInput || await readSequenceInput(req);
+      const settings = scoringSettings.current();
+      
+      console.log(`🔍 Tracking faces across ${frames.length} frame(s) at ${fps}fps...`);
+      const route = metrics.routeLabel(req);
+      const { results: frameResults, failures } = await detectFrames(frames, profile, detector, route, baseline, settings);
+      
+      // Only a clip with no usable frame at all fails the request.
+      if (failures.length === frames.length) {
+        const { frame, error } = failures[0];
+        if (error instanceof HttpError) {
+          error.message = `Frame ${frame}: ${error.message}`;
+        }
+        throw error;
+      }
+      
+      failures.forEach(({ error }) => {
+        logFailure(error, startTime);
+        metrics.recordError(route, error instanceof HttpError ? error.error : 'internal');
+      });
+      await refundRejected(req, res, failures.map(({ error }) => error));
+      
+      // Faces the quality gate left unscored (QUALITY_GATE=skip) are
+      // treated like missed detections, so tracks bridge them as gaps.
+      const scored = frameResults.map((faces) => faces.filter((face) => face.score !== null));
+      
+      const people = trackFaces(scored).map((points, index) => {
+        const series = points.map(({ frame, face }) => ({
+          frame,
+          t: Math.round((frame / fps) * 1000) / 1000,
+          score: face.score,
+          eyeConstriction: face.metrics.eyeConstriction,
+          cheekRaise: face.metrics.cheekRaise,
+          mouthCurve: face.metrics.mouthCurve
+        }));
+        
+        return {
+          track: index + 1,
+          firstFrame: series[0].frame,
+          lastFrame: series[series.length - 1].frame,
+          temporal: temporalScore(series, settings.temporal),
+          series,
+          boundingBox: points[points.length - 1].face.boundingBox
+        };
+      });
+      
+      const processingTime = Date.now() - startTime;
+      stats.totalProcessingTime += processingTime;
+      await recordPeople(people.length);
+      
+      console.log(`✅ Tracked ${people.length} face(s) over ${frames.length} frame(s) in ${processingTime}ms (${failures.length} failed)`);
+      
+      res.json({
+        profile: profile.name,
+        scoringVersion: settings.version,
+        detector,
+        fps,
+        frameCount: frames.length,
+        duration: Math.round((frames.length / fps) * 1000) / 1000,
+        failedFrames: failures.map(({ frame, error }) => ({
+          frame,
+          error: error instanceof HttpError ? error.error : 'Analysis failed',
+          message: error.message
+        })),
+        people
+      });
+      
+    } catch (error) {
+      logFailure(error, startTime);
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = {
+  readSequenceInput,
+  sequenceCost,
+  createSequenceHandler
+};
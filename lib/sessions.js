@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError, sendError } = require('./errors');
+const { readImageInput } = require('./upload');
+const { getProfile, listProfiles } = require('./scoring');
+const { resolveDetector } = require('./detector');
+const { resolveAutoRotate, analyzeImage, logFailure } = require('./analyze');
+const { resolveLocale, setLocaleHeaders, localizePerson, localizePeople } = require('./locales');
+const { stats } = require('./stats');
+const metrics = require('./metrics');
+
+// Leaderboard sessions for events. A host creates a session, participants
+// submit photos under their name and the standings rank them by their best
+// score. Entries hold only the name and derived scores; images are
+// analyzed and dropped like on /analyze. Sessions live in memory and
+// disappear when they expire or the process restarts.
+
+const sessions = new Map();
+
+function sweep() {
+  const now = Date.now();
+  sessions.forEach((session, id) => {
+    if (session.expiresAt <= now) sessions.delete(id);
+  });
+}
+
+setInterval(sweep, config.sessions.sweepMs).unref();
+
+function getSession(id) {
+  const session = sessions.get(id);
+  
+  if (!session || session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    throw new HttpError(404, 'Session not found', 'The session does not exist or has expired');
+  }
+  
+  return session;
+}
+
+function readText(req, field) {
+  const value = (req.query && req.query[field]) || (req.body && !Buffer.isBuffer(req.body) && req.body[field]);
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function readName(req, field, required) {
+  const name = readText(req, field);
+  
+  if (!name && required) {
+    throw new HttpError(400, 'Name required', `Send a "${field}" field with the participant's name`);
+  }
+  if (name.length > config.sessions.maxNameLength) {
+    throw new HttpError(400, 'Name too long', `Names may be at most ${config.sessions.maxNameLength} characters`);
+  }
+  
+  return name;
+}
+
+function tokensMatch(presented, expected) {
+  const a = Buffer.from(String(presented || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function byScore(a, b) {
+  if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+  return b.score - a.score || Boolean(b.isGenuine) - Boolean(a.isGenuine);
+}
+
+// Standard competition ranking (1, 1, 3) over an already sorted list.
+function withRanks(items, value) {
+  let rank = 0;
+  return items.map((item, index) => {
+    if (index === 0 || value(item) !== value(items[index - 1])) rank = index + 1;
+    return { rank, ...item };
+  });
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function standings(session) {
+  const participants = new Map();
+  
+  session.entries.forEach((entry) => {
+    const key = entry.name.toLowerCase();
+    const current = participants.get(key) || {
+      name: entry.name,
+      bestScore: entry.score,
+      totalScore: 0,
+      submissions: 0,
+      genuine: 0,
+      lastSubmittedAt: null
+    };
+    
+    current.bestScore = Math.max(current.bestScore, entry.score);
+    current.totalScore += entry.score;
+    current.submissions++;
+    if (entry.isGenuine) current.genuine++;
+    current.lastSubmittedAt = entry.submittedAt;
+    participants.set(key, current);
+  });
+  
+  const sorted = [...participants.values()]
+    .map(({ totalScore, ...participant }) => ({
+      ...participant,
+      averageScore: round(totalScore / participant.submissions)
+    }))
+    .sort((a, b) => b.bestScore - a.bestScore || b.genuine - a.genuine || a.name.localeCompare(b.name));
+  
+  return withRanks(sorted, (participant) => participant.bestScore);
+}
+
+function describe(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    profile: session.profile.name,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+// POST /sessions { name?, profile?, ttlHours? }
+function createSessionHandler(req, res) {
+  try {
+    const body = req.body || {};
+    const profileName = body.profile || config.scoringProfile || 'classic';
+    const profile = getProfile(profileName);
+    
+    if (!profile) {
+      throw new HttpError(400, 'Unknown scoring profile', `Available profiles: ${listProfiles().join(', ')}`);
+    }
+    
+    const ttlHours = body.ttlHours === undefined ? config.sessions.ttlHours : Number(body.ttlHours);
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > config.sessions.maxTtlHours) {
+      throw new HttpError(400, 'Invalid ttlHours', `ttlHours must be between 0 and ${config.sessions.maxTtlHours}`);
+    }
+    
+    sweep();
+    if (sessions.size >= config.sessions.maxSessions) {
+      throw new HttpError(503, 'Too many sessions', 'Try again later');
+    }
+    
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      name: readName(req, 'name', false) || null,
+      profile,
+      hostToken: crypto.randomBytes(24).toString('base64url'),
+      createdAt: now,
+      expiresAt: now + ttlHours * 60 * 60 * 1000,
+      entries: []
+    };
+    
+    sessions.set(session.id, session);
+    console.log(`🏆 Session ${session.id} created (${profile.name}, ${ttlHours}h)`);
+    
+    res.status(201).json({ ...describe(session), hostToken: session.hostToken });
+    
+  } catch (error) {
+    sendError(res, error, 'Internal server error');
+  }
+}
+
+// POST /sessions/:id/entries with an image and a participant "name". The
+// session's profile is always used so scores stay comparable. The top
+// scoring face in the photo counts for the participant; the response
+// also ranks every face found.
+async function submitEntryHandler(req, res) {
+  const startTime = Date.now();
+  stats.requestCount++;
+  
+  try {
+    const session = getSession(req.params.id);
+    const name = readName(req, 'name', true);
+    const locale = resolveLocale(req);
+    
+    if (session.entries.length >= config.sessions.maxEntries) {
+      throw new HttpError(409, 'Session full', `A session may hold at most ${config.sessions.maxEntries} entries`);
+    }
+    
+    const { buffer, declaredType } = readImageInput(req);
+    const { people, scoringVersion } = await analyzeImage(buffer, declaredType, session.profile, {
+      route: metrics.routeLabel(req),
+      detector: resolveDetector(req, session.profile),
+      autoRotate: resolveAutoRotate(req)
+    });
+    
+    const ranked = withRanks([...people].sort(byScore), (person) => person.score);
+    const best = ranked[0];
+    
+    if (!best || best.score === null) {
+      throw new HttpError(400, 'No face detected', 'No face in the photo could be scored');
+    }
+    
+    const entry = {
+      name,
+      score: best.score,
+      isGenuine: best.isGenuine,
+      verdictCode: best.verdictCode,
+      scoringVersion,
+      faces: people.length,
+      submittedAt: new Date().toISOString()
+    };
+    session.entries.push(entry);
+    
+    const standing = standings(session).find((participant) => participant.name.toLowerCase() === name.toLowerCase());
+    console.log(`🏆 ${name} scored ${entry.score} in session ${session.id}`);
+    
+    setLocaleHeaders(res, locale);
+    res.status(201).json({
+      session: session.id,
+      entry: localizePerson(entry, locale),
+      standing,
+      people: localizePeople(ranked, locale)
+    });
+    
+  } catch (error) {
+    logFailure(error, startTime);
+    sendError(res, error);
+  }
+}
+
+// GET /sessions/:id/leaderboard
+function leaderboardHandler(req, res) {
+  try {
+    const session = getSession(req.params.id);
+    res.json({ ...describe(session), submissions: session.entries.length, standings: standings(session) });
+  } catch (error) {
+    sendError(res, error, 'Internal server error');
+  }
+}
+
+// DELETE /sessions/:id with the hostToken in an X-Session-Token header.
+function deleteSessionHandler(req, res) {
+  try {
+    const session = getSession(req.params.id);
+    
+    if (!tokensMatch(req.get('x-session-token'), session.hostToken)) {
+      throw new HttpError(403, 'Invalid session token', 'Only the host can end a session');
+    }
+    
+    sessions.delete(session.id);
+    console.log(`🏆 Session ${session.id} ended by host`);
+    res.status(204).end();
+    
+  } catch (error) {
+    sendError(res, error, 'Internal server error');
+  }
+}
+
+module.exports = {
+  createSessionHandler,
+  submitEntryHandler,
+  leaderboardHandler,
+  deleteSessionHandler
+};
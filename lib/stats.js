@@ -0,0 +1,35 @@
+const counters = require('./counters');
+
+const stats = {
+  requestCount: 0,
+  cacheHits: 0,
+  totalProcessingTime: 0
+};
+
+// Persists the people count. A failing store is logged but never fails the
+// analysis that triggered it.
+async function recordPeople(count) {
+  try {
+    return await counters.increment(count);
+  } catch (error) {
+    console.error('❌ Failed to record analysis count:', error);
+    return null;
+  }
+}
+
+function summary() {
+  const { requestCount, cacheHits, totalProcessingTime } = stats;
+  
+  return {
+    totalRequests: requestCount,
+    cacheHits: cacheHits,
+    cacheHitRate: requestCount > 0 ? ((cacheHits / requestCount) * 100).toFixed(1) + '%' : '0%',
+    avgProcessingTime: requestCount > 0 ? (totalProcessingTime / requestCount).toFixed(2) + 'ms' : '0ms'
+  };
+}
+
+module.exports = {
+  stats,
+  recordPeople,
+  summary
+};
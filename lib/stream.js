@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { checkImageType } = require('./image');
+const { readBase64Image } = require('./upload');
+const { DETAIL_LEVELS, getProfile, listProfiles } = require('./scoring');
+const { resolveDetector } = require('./detector');
+const { resolveCalibration } = require('./calibration');
+const scoringSettings = require('./profiles/settings');
+const { resolveLocale, localizePeople } = require('./locales');
+const pool = require('./pool');
+const { recordPeople } = require('./stats');
+const metrics = require('./metrics');
+const { findKey, readPresentedKey, takeRateLimit, remainingToday, charge } = require('./auth');
+
+const ROUTE = '/stream';
+
+// Protocol (all server messages are JSON):
+//   connect  ws://host/stream?profile=v2[&detail=full][&detector=ssd&...][&calibration=...][&lang=...][&apiKey=...]
+//            (or an X-API-Key / Authorization: Bearer header where the
+//            client can set one). Detector options are the same as /analyze;
+//            without lang the Accept-Language header picks the language.
+//   server → { type: 'ready', session, profile, detector, lang, quota }
+//   client → binary JPEG/PNG/WebP frame, or { type: 'frame', id, image: '<base64>' }
+//   server → { type: 'result', frame, id, people, scoringVersion, processingTime, quota }
+//   server → { type: 'dropped', frame, id } when a newer frame replaced it
+//   server → { type: 'error', error, message, frame?, id? }
+// Every analyzed frame is one hit against the caller's HTTP rate limit (the
+// key's, or the anonymous per-IP one). A keyed session is also charged one
+// image of the key's daily quota per frame, like /analyze, and is closed
+// (1008) once that quota is used up.
+// Only one frame is in flight per session and at most one waits behind it,
+// so a client sending faster than inference simply gets the latest frame.
+
+const sessions = new Map();
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function readFrame(data, isBinary) {
+  if (isBinary) {
+    return { buffer: data, declaredType: null, id: undefined };
+  }
+  
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    throw new HttpError(400, 'Invalid message', 'Expected a binary frame or JSON { type: "frame", image }');
+  }
+  
+  if (!message || message.type !== 'frame') {
+    throw new HttpError(400, 'Invalid message', 'Unknown message type');
+  }
+  
+  return { ...readBase64Image(message.image), id: message.id };
+}
+
+function quotaFor(session) {
+  return {
+    framesRemaining: config.stream.maxFrames - session.processed,
+    dailyRemaining: session.dailyRemaining,
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+async function processFrame(session, frame) {
+  const startTime = Date.now();
+  await takeRateLimit(session.apiKey, session.ip);
+  const type = checkImageType(frame.buffer, frame.declaredType);
+  const settings = scoringSettings.current();
+  
+  if (session.apiKey) {
+    session.dailyRemaining = await charge(session.apiKey, 1);
+  }
+  
+  const { faces, people, timings } = await pool.run('analyze', {
+    buffer: frame.buffer,
+    type,
+    profile: session.profile.name,
+    detail: session.detail,
+    detector: session.detector,
+    baseline: session.baseline,
+    autoRotate: false,
+    settings
+  });
+  metrics.recordStages(ROUTE, timings);
+  metrics.recordFaces(ROUTE, faces);
+  
+  session.processed++;
+  recordPeople(people.length);
+  
+  return { people, scoringVersion: settings.version, processingTime: Date.now() - startTime };
+}
+
+async function drain(session) {
+  session.busy = true;
+  
+  while (session.pending) {
+    const frame = session.pending;
+    session.pending = null;
+    
+    if (session.processed >= config.stream.maxFrames) {
+      send(session.ws, { type: 'error', error: 'Quota exceeded', message: `Session limit of ${config.stream.maxFrames} frames reached` });
+      session.ws.close(1008, 'Quota exceeded');
+      break;
+    }
+    
+    try {
+      const { people, scoringVersion, processingTime } = await processFrame(session, frame);
+      send(session.ws, {
+        type: 'result',
+        frame: frame.seq,
+        id: frame.id,
+        people: localizePeople(people, session.locale),
+        profile: session.profile.name,
+        scoringVersion,
+        processingTime,
+        quota: quotaFor(session)
+      });
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`❌ Stream ${session.id} frame ${frame.seq} failed:`, error);
+      }
+      metrics.recordError(ROUTE, error instanceof HttpError ? error.error : 'internal');
+      send(session.ws, {
+        type: 'error',
+        frame: frame.seq,
+        id: frame.id,
+        error: error instanceof HttpError ? error.error : 'Analysis failed',
+        message: error.message
+      });
+      
+      if (error instanceof HttpError && error.error === 'Daily quota exceeded') {
+        session.ws.close(1008, error.error);
+        break;
+      }
+    }
+  }
+  
+  session.busy = false;
+}
+
+function handleConnection(ws, req) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  // Browsers cannot set headers on a WebSocket upgrade, so the key may
+  // also come from the query string.
+  const presented = readPresentedKey(req.headers) || params.get('apiKey');
+  const apiKey = presented ? findKey(presented) : null;
+  
+  if (presented && !apiKey) {
+    send(ws, { type: 'error', error: 'Invalid API key', message: 'The API key was not recognized' });
+    return ws.close(1008, 'Invalid API key');
+  }
+  
+  if (!apiKey && !config.auth.anonymousAccess) {
+    send(ws, { type: 'error', error: 'API key required', message: 'Pass the key as ?apiKey= or an X-API-Key header' });
+    return ws.close(1008, 'API key required');
+  }
+  
+  const profileName = params.get('profile') || config.scoringProfile || 'classic';
+  const profile = getProfile(profileName);
+  
+  if (!profile) {
+    send(ws, { type: 'error', error: 'Unknown scoring profile', message: `Available profiles: ${listProfiles().join(', ')}` });
+    return ws.close(1008, 'Unknown scoring profile');
+  }
+  
+  const detail = params.get('detail') || 'basic';
+  
+  if (!DETAIL_LEVELS.includes(detail)) {
+    send(ws, { type: 'error', error: 'Unknown detail level', message: `Available detail levels: ${DETAIL_LEVELS.join(', ')}` });
+    return ws.close(1008, 'Unknown detail level');
+  }
+  
+  let detector;
+  let baseline;
+  let locale;
+  try {
+    const options = { query: Object.fromEntries(params), get: (name) => req.headers[name.toLowerCase()] };
+    detector = resolveDetector(options, profile);
+    baseline = resolveCalibration(options, profile);
+    locale = resolveLocale(options);
+  } catch (error) {
+    send(ws, { type: 'error', error: error.error, message: error.message });
+    return ws.close(1008, error.error);
+  }
+  
+  // Anonymous sessions are counted per address, keyed ones per key.
+  const ip = req.socket.remoteAddress;
+  const peers = [...sessions.values()]
+    .filter((other) => (apiKey ? other.apiKey === apiKey : !other.apiKey && other.ip === ip)).length;
+  const maxPeers = apiKey ? config.stream.maxSessionsPerKey : config.stream.maxSessionsPerIp;
+  
+  if (sessions.size >= config.stream.maxSessions) {
+    send(ws, { type: 'error', error: 'Too many sessions', message: 'Try again later' });
+    return ws.close(1013, 'Too many sessions');
+  }
+  
+  if (peers >= maxPeers) {
+    send(ws, { type: 'error', error: 'Too many sessions', message: `At most ${maxPeers} session(s) can be open ${apiKey ? 'per API key' : 'per address'}` });
+    return ws.close(1013, 'Too many sessions');
+  }
+  
+  const session = {
+    id: crypto.randomUUID(),
+    ws,
+    ip,
+    apiKey,
+    profile,
+    detail,
+    detector,
+    baseline,
+    locale,
+    seq: 0,
+    processed: 0,
+    dropped: 0,
+    dailyRemaining: null,
+    busy: false,
+    pending: null,
+    alive: true,
+    expiresAt: Date.now() + config.stream.maxSeconds * 1000
+  };
+  
+  sessions.set(session.id, session);
+  console.log(`📡 Stream session ${session.id} opened from ${ip}${apiKey ? ` with key ${apiKey.id}` : ''} (${sessions.size} active)`);
+  
+  const expiry = setTimeout(() => {
+    send(ws, { type: 'error', error: 'Quota exceeded', message: `Session limit of ${config.stream.maxSeconds}s reached` });
+    ws.close(1008, 'Session expired');
+  }, config.stream.maxSeconds * 1000);
+  
+  ws.on('pong', () => { session.alive = true; });
+  
+  ws.on('message', (data, isBinary) => {
+    const seq = ++session.seq;
+    let frame;
+    
+    try {
+      frame = { ...readFrame(data, isBinary), seq };
+    } catch (error) {
+      return send(ws, { type: 'error', frame: seq, error: error.error || 'Invalid message', message: error.message });
+    }
+    
+    if (session.pending) {
+      session.dropped++;
+      send(ws, { type: 'dropped', frame: session.pending.seq, id: session.pending.id });
+    }
+    session.pending = frame;
+    
+    if (!session.busy) {
+      drain(session);
+    }
+  });
+  
+  ws.on('close', () => {
+    clearTimeout(expiry);
+    sessions.delete(session.id);
+    console.log(`📡 Stream session ${session.id} closed: ${session.processed} processed, ${session.dropped} dropped`);
+  });
+  
+  // A key whose daily quota is already used up is turned away here rather
+  // than on its first frame.
+  (apiKey ? remainingToday(apiKey) : Promise.resolve(null))
+    .then((remaining) => {
+      if (remaining === 0) {
+        send(ws, { type: 'error', error: 'Daily quota exceeded', message: `Key "${apiKey.id}" has 0 of ${apiKey.dailyQuota} images left today` });
+        return ws.close(1008, 'Daily quota exceeded');
+      }
+      
+      session.dailyRemaining = remaining;
+      send(ws, { type: 'ready', session: session.id, profile: profile.name, detector, lang: locale, quota: quotaFor(session) });
+    })
+    .catch((error) => {
+      console.error(`❌ Stream ${session.id} could not read the key's usage:`, error);
+      send(ws, { type: 'error', error: 'Internal server error', message: error.message });
+      ws.close(1011, 'Internal server error');
+    });
+}
+
+function attachStream(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: '/stream',
+    maxPayload: Math.ceil(config.maxImageBytes * 4 / 3) + 1024
+  });
+  
+  wss.on('connection', handleConnection);
+  
+  // Drop connections that stopped answering pings (closed tabs, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    sessions.forEach((session) => {
+      if (!session.alive) {
+        return session.ws.terminate();
+      }
+      session.alive = false;
+      session.ws.ping();
+    });
+  }, config.stream.heartbeatMs);
+  
+  wss.on('close', () => clearInterval(heartbeat));
+  
+  return wss;
+}
+
+function activeSessions() {
+  return sessions.size;
+}
+
+module.exports = {
+  attachStream,
+  activeSessions
+};
@@ -0,0 +1,112 @@
+// Temporal smile features over a tracked face. Spontaneous smiles tend to
+// have a smooth onset, an apex held for roughly 0.5-4s and eye constriction
+// that rises together with the mouth; posed smiles switch on abruptly and
+// often leave the eyes out.
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function argMax(values) {
+  return values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+}
+
+// Onset is the 10%-90% rise time into the peak of mouthCurve. Returns null
+// when the clip shows no meaningful rise (less than 10 points).
+function onsetSeconds(series, intensity, peakIndex) {
+  const baseline = Math.min(...intensity.slice(0, peakIndex + 1));
+  const range = intensity[peakIndex] - baseline;
+  if (range < 10) return null;
+  
+  let start = peakIndex;
+  while (start > 0 && intensity[start] > baseline + range * 0.1) start--;
+  
+  let end = start;
+  while (end < peakIndex && intensity[end] < baseline + range * 0.9) end++;
+  
+  return round(series[end].t - series[start].t);
+}
+
+// Hold is how long mouthCurve stays within 80% of its peak around the apex.
+// Returns null when only the peak frame itself is that high, since the
+// sampling cannot tell a brief flash from a hold shorter than one frame.
+function holdSeconds(series, intensity, peakIndex) {
+  const threshold = intensity[peakIndex] * 0.8;
+  
+  let left = peakIndex;
+  while (left > 0 && intensity[left - 1] >= threshold) left--;
+  
+  let right = peakIndex;
+  while (right < intensity.length - 1 && intensity[right + 1] >= threshold) right++;
+  
+  if (left === right) return null;
+  return round(series[right].t - series[left].t);
+}
+
+// `settings` is the scoring config's temporal section: the blend weights
+// and the genuineness needed for isGenuine.
+function temporalScore(series, settings) {
+  const intensity = series.map((point) => point.mouthCurve);
+  const peakIndex = argMax(intensity);
+  
+  const peakScore = Math.max(...series.map((point) => point.score));
+  const onset = onsetSeconds(series, intensity, peakIndex);
+  const hold = holdSeconds(series, intensity, peakIndex);
+  const sync = pearson(
+    series.map((point) => point.eyeConstriction),
+    intensity
+  );
+  
+  // Unknown components count as neutral (50) rather than penalizing short clips.
+  const onsetComponent = onset === null ? 50 : clamp01(onset / 0.5) * 100;
+  const holdComponent = hold === null ? 50 : hold <= 4 ? clamp01(hold / 0.5) * 100 : clamp01(1 - (hold - 4) / 4) * 100;
+  const syncComponent = sync === null ? 50 : ((sync + 1) / 2) * 100;
+  
+  const { weights, genuine } = settings;
+  const genuineness = Math.round(
+    peakScore * weights.peakScore +
+    syncComponent * weights.eyeMouthSync +
+    onsetComponent * weights.onset +
+    holdComponent * weights.hold
+  );
+  
+  return {
+    genuineness,
+    isGenuine: genuineness >= genuine.minGenuineness,
+    peakScore,
+    onsetSeconds: onset,
+    holdSeconds: hold,
+    eyeMouthSync: sync === null ? null : round(sync)
+  };
+}
+
+module.exports = {
+  pearson,
+  temporalScore
+};
@@ -0,0 +1,65 @@
+function iou(a, b) {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  
+  return union > 0 ? intersection / union : 0;
+}
+
+// Greedy frame-to-frame association: each face joins the track whose most
+// recent box overlaps it best, provided the overlap clears minIoU and the
+// track has not been seen for fewer than maxGap frames.
+function trackFaces(frames, { minIoU = 0.3, maxGap = 3 } = {}) {
+  const tracks = [];
+  
+  frames.forEach((faces, frameIndex) => {
+    const candidates = [];
+    
+    faces.forEach((face, faceIndex) => {
+      tracks.forEach((track, trackIndex) => {
+        if (frameIndex - track.lastFrame > maxGap) return;
+        const overlap = iou(track.lastBox, face.boundingBox);
+        if (overlap >= minIoU) {
+          candidates.push({ overlap, faceIndex, trackIndex });
+        }
+      });
+    });
+    
+    candidates.sort((a, b) => b.overlap - a.overlap);
+    
+    const usedFaces = new Set();
+    const usedTracks = new Set();
+    
+    candidates.forEach(({ faceIndex, trackIndex }) => {
+      if (usedFaces.has(faceIndex) || usedTracks.has(trackIndex)) return;
+      usedFaces.add(faceIndex);
+      usedTracks.add(trackIndex);
+      
+      const track = tracks[trackIndex];
+      const face = faces[faceIndex];
+      track.points.push({ frame: frameIndex, face });
+      track.lastBox = face.boundingBox;
+      track.lastFrame = frameIndex;
+    });
+    
+    faces.forEach((face, faceIndex) => {
+      if (usedFaces.has(faceIndex)) return;
+      tracks.push({
+        points: [{ frame: frameIndex, face }],
+        lastBox: face.boundingBox,
+        lastFrame: frameIndex
+      });
+    });
+  });
+  
+  return tracks.map((track) => track.points);
+}
+
+module.exports = {
+  iou,
+  trackFaces
+};
@@ -0,0 +1,143 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { SUPPORTED_TYPES } = require('./image');
+const { SUPPORTED_VIDEO_TYPES } = require('./video');
+
+const multipart = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxImageBytes, files: 1 }
+});
+
+const batchMultipart = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxImageBytes, files: config.batch.maxImages }
+});
+
+// Multer applies one fileSize to every part, but a sequence mixes image
+// frames with a single, much larger video. This keeps parts in memory like
+// memoryStorage while holding each to its own field's limit, so a request
+// full of frames cannot grow to maxFrames videos' worth.
+function fieldLimitedStorage(limits) {
+  return {
+    _handleFile(req, file, cb) {
+      const limit = limits[file.fieldname];
+      const chunks = [];
+      let size = 0;
+      
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          file.stream.removeAllListeners('data');
+          file.stream.resume();
+          return cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+        }
+        chunks.push(chunk);
+      });
+      file.stream.on('error', cb);
+      file.stream.on('end', () => {
+        if (size > limit) return;
+        const buffer = Buffer.concat(chunks);
+        cb(null, { buffer, size: buffer.length });
+      });
+    },
+    
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    }
+  };
+}
+
+const sequenceMultipart = multer({
+  storage: fieldLimitedStorage({ frames: config.maxImageBytes, video: config.sequence.maxVideoBytes }),
+  limits: { fileSize: config.sequence.maxVideoBytes, files: config.sequence.maxFrames }
+});
+
+const rawImage = express.raw({ type: SUPPORTED_TYPES, limit: config.maxImageBytes });
+
+function handleMultipart(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return next(new HttpError(status, 'Invalid upload', err.message));
+      }
+      next();
+    });
+  };
+}
+
+const multipartImage = handleMultipart(multipart.single('image'));
+
+function readFileImage(file) {
+  // Some clients label every file part as octet-stream; let the magic
+  // bytes decide in that case.
+  const declaredType = file.mimetype === 'application/octet-stream' ? null : file.mimetype;
+  return { buffer: file.buffer, declaredType };
+}
+
+// Accepts a multipart "image" field, a raw image body, or the original
+// JSON { image: "<base64 or data URL>" } and returns the bytes plus the
+// type the client claimed for them.
+function readImageInput(req) {
+  if (req.file) {
+    return readFileImage(req.file);
+  }
+  
+  if (Buffer.isBuffer(req.body)) {
+    return { buffer: req.body, declaredType: req.get('content-type') };
+  }
+  
+  if (req.is('multipart/form-data')) {
+    throw new HttpError(400, 'No image provided', 'Expected a file in the "image" form field');
+  }
+  
+  if (req.is('*/*') && !req.is('application/json')) {
+    throw new HttpError(415, 'Unsupported content type', `Send JSON, multipart/form-data or one of ${SUPPORTED_TYPES.join(', ')}`);
+  }
+  
+  const { image } = req.body || {};
+  
+  return readBase64Image(image);
+}
+
+function readBase64Image(image) {
+  if (!image) {
+    throw new HttpError(400, 'No image provided');
+  }
+  
+  if (typeof image !== 'string') {
+    throw new HttpError(400, 'Invalid image', 'Expected "image" to be a base64 string');
+  }
+  
+  const match = image.match(/^data:([\w.+-]+\/[\w.+-]+);base64,/);
+  const base64Data = match ? image.slice(match[0].length) : image;
+  
+  return {
+    buffer: Buffer.from(base64Data, 'base64'),
+    declaredType: match ? match[1] : null
+  };
+}
+
+const imageUpload = [rawImage, multipartImage];
+
+const batchUpload = handleMultipart(batchMultipart.array('images'));
+
+const sequenceUpload = [
+  express.raw({ type: SUPPORTED_VIDEO_TYPES, limit: config.sequence.maxVideoBytes }),
+  handleMultipart(sequenceMultipart.fields([
+    { name: 'frames', maxCount: config.sequence.maxFrames },
+    { name: 'video', maxCount: 1 }
+  ]))
+];
+
+module.exports = {
+  imageUpload,
+  batchUpload,
+  sequenceUpload,
+  readImageInput,
+  readFileImage,
+  readBase64Image
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const config = require('./config');
+const pool = require('./pool');
+const { listProfiles } = require('./scoring');
+const scoringSettings = require('./profiles/settings');
+const { listLocales } = require('./locales');
+const { listDetectors } = require('./detector');
+const counters = require('./counters');
+const analytics = require('./analytics');
+const { dayKey, parseDay, parseRange } = require('./dates');
+const { createAnalyzeHandler } = require('./analyze');
+const { quota, usageHandler } = require('./auth');
+const { HttpError, asyncRoute } = require('./errors');
+const { createAnnotatedHandler } = require('./annotate');
+const { createBatchHandler, batchCost } = require('./batch');
+const { createSequenceHandler, sequenceCost } = require('./sequence');
+const { createCalibrateHandler } = require('./calibrate');
+const { createSessionHandler, submitEntryHandler, leaderboardHandler, deleteSessionHandler } = require('./sessions');
+const { activeSessions } = require('./stream');
+const { imageUpload, batchUpload, sequenceUpload } = require('./upload');
+const { document, contract } = require('./openapi');
+
+// The versioned API, mounted at /v1 and described by /openapi.json. Each
+// route runs its operation's contract() before quota(), so a malformed
+// request costs nothing. The profile is always chosen with ?profile= or
+// body.profile, never by the route.
+
+const router = express.Router();
+
+router.get('/', contract('getStatus'), asyncRoute(async (req, res) => {
+  const [total, today] = await Promise.all([counters.getTotal(), counters.getDay()]);
+  res.json({
+    status: 'ok',
+    version: document.info.version,
+    modelsLoaded: pool.status().modelsLoaded,
+    profiles: listProfiles(),
+    scoringVersion: scoringSettings.current().version,
+    detectors: listDetectors(),
+    languages: listLocales(),
+    analyses: { total, daily: config.dailyCountBaseline + today },
+    streamSessions: activeSessions()
+  });
+}));
+
+router.post('/analyze', imageUpload, contract('analyze'), quota(), createAnalyzeHandler('classic'));
+router.post('/analyze/annotated', imageUpload, contract('annotate'), quota(), createAnnotatedHandler('classic'));
+router.post('/analyze/batch', batchUpload, contract('analyzeBatch'), quota(batchCost), createBatchHandler('classic'));
+router.post('/analyze/sequence', sequenceUpload, contract('analyzeSequence'), quota(sequenceCost), createSequenceHandler('classic'));
+
+router.post('/calibrate', imageUpload, contract('calibrate'), quota(), createCalibrateHandler());
+
+router.post('/sessions', contract('createSession'), createSessionHandler);
+router.post('/sessions/:id/entries', imageUpload, contract('submitEntry'), quota(), submitEntryHandler);
+router.get('/sessions/:id/leaderboard', contract('getLeaderboard'), leaderboardHandler);
+router.delete('/sessions/:id', contract('deleteSession'), deleteSessionHandler);
+
+// ?date=YYYY-MM-DD, defaults to today
+router.get('/count', contract('getCount'), asyncRoute(async (req, res) => {
+  const date = req.query.date ? parseDay(req.query.date) : new Date();
+  
+  if (!date) {
+    throw new HttpError(400, 'Invalid date', 'Use date as YYYY-MM-DD');
+  }
+  
+  const [total, count] = await Promise.all([counters.getTotal(), counters.getDay(dayKey(date))]);
+  res.json({ total, date: dayKey(date), daily: config.dailyCountBaseline + count });
+}));
+
+router.post('/count/increment', contract('incrementCount'), asyncRoute(async (req, res) => {
+  const { total } = await counters.increment(1);
+  console.log(`📊 Count incremented to: ${total}`);
+  res.json({ total });
+}));
+
+router.get('/count/history', contract('getCountHistory'), asyncRoute(async (req, res) => {
+  const range = parseRange(req.query);
+  const [total, days] = await Promise.all([counters.getTotal(), counters.getHistory(range)]);
+  res.json({ total, days });
+}));
+
+router.get('/stats/daily', contract('getDailyStats'), asyncRoute(async (req, res) => {
+  res.json({ days: await analytics.getDaily(parseRange(req.query)) });
+}));
+
+router.get('/stats/distribution', contract('getDistribution'), asyncRoute(async (req, res) => {
+  res.json(await analytics.getDistribution(parseRange(req.query)));
+}));
+
+router.get('/usage', contract('getUsage'), asyncRoute(usageHandler));
+router.get('/usage/:id', contract('getKeyUsage'), asyncRoute(usageHandler));
+
+// Unknown /v1 routes answer in the same error format as everything else.
+router.use((req, res, next) => {
+  next(new HttpError(404, 'Not found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+const SUPPORTED_VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm'];
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+function sniffVideoType(buffer) {
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return buffer.toString('ascii', 8, 10) === 'qt' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return 'video/webm';
+  }
+  return null;
+}
+
+// ffmpeg writes frames back to back on stdout; walk the PNG chunk headers
+// to find where each image ends.
+function splitPngStream(buffer) {
+  const frames = [];
+  let offset = 0;
+  
+  while (offset + PNG_SIGNATURE.length <= buffer.length) {
+    if (!buffer.subarray(offset, offset + PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      throw new Error('Unexpected data in frame stream');
+    }
+    
+    let cursor = offset + PNG_SIGNATURE.length;
+    let done = false;
+    
+    while (!done && cursor + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(cursor);
+      const type = buffer.toString('ascii', cursor + 4, cursor + 8);
+      cursor += 12 + length;
+      done = type === 'IEND';
+    }
+    
+    if (!done) break;
+    
+    frames.push(buffer.subarray(offset, cursor));
+    offset = cursor;
+  }
+  
+  return frames;
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.sequence.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+    
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new HttpError(400, 'Invalid video', `Decoding took longer than ${config.sequence.decodeTimeoutMs}ms`));
+    }, config.sequence.decodeTimeoutMs);
+    
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      if (error.code === 'ENOENT') {
+        return reject(new HttpError(501, 'Video decoding unavailable', 'ffmpeg is not installed on this server'));
+      }
+      reject(error);
+    });
+    
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        return reject(new HttpError(400, 'Invalid video', stderr.trim() || `ffmpeg exited with code ${code}`));
+      }
+      resolve(Buffer.concat(stdout));
+    });
+  });
+}
+
+// Decodes a short clip into PNG frames at config.sequence.fps. The clip is
+// written to a temp file because MP4s with a trailing moov atom cannot be
+// read from a pipe; the file is removed as soon as ffmpeg finishes.
+async function extractFrames(buffer) {
+  const file = path.join(os.tmpdir(), `realsmile-${crypto.randomBytes(8).toString('hex')}`);
+  await fs.promises.writeFile(file, buffer);
+  
+  try {
+    const output = await runFfmpeg([
+      '-v', 'error',
+      '-i', file,
+      '-vf', `fps=${config.sequence.fps}`,
+      '-frames:v', String(config.sequence.maxFrames),
+      '-f', 'image2pipe',
+      '-vcodec', 'png',
+      'pipe:1'
+    ]);
+    
+    return splitPngStream(output);
+  } finally {
+    await fs.promises.unlink(file).catch(() => {});
+  }
+}
+
+module.exports = {
+  SUPPORTED_VIDEO_TYPES,
+  sniffVideoType,
+  splitPngStream,
+  extractFrames
+};
@@ -0,0 +1,35 @@
+const { parentPort } = require('worker_threads');
+const { loadModels, getModelSource } = require('./models');
+const { runTask } = require('./inference');
+
+// Entry point of a pool worker. Each worker loads its own copy of the
+// models and runs one job at a time:
+//   pool → { id, task, job }
+//   worker → { type: 'ready', modelSource } once the models are loaded,
+//            or { type: 'failed', message } if they could not be
+//   worker → { type: 'result', id, result } or { type: 'error', id, error }
+
+// Buffers arrive as plain Uint8Arrays after structured cloning.
+function toBuffer(data) {
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+parentPort.on('message', async ({ id, task, job }) => {
+  try {
+    const result = await runTask(task, { ...job, buffer: toBuffer(job.buffer) });
+    parentPort.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      id,
+      error: { status: error.status, error: error.error, message: error.message, stack: error.stack }
+    });
+  }
+});
+
+// A failed load is reported but not fatal: the next job retries it.
+loadModels().then(() => {
+  parentPort.postMessage({ type: 'ready', modelSource: getModelSource() });
+}).catch((error) => {
+  parentPort.postMessage({ type: 'failed', message: error.message });
+});
@@ -0,0 +1,208 @@
+// Scores a labelled folder of photos and reports how well each scoring
+// profile tells genuine smiles from posed ones. Runs offline against the
+// local model weights.
+//
+//   npm run evaluate -- <images-dir> <labels.csv> [options]
+//
+//   --profile <name>          Evaluate only this profile (repeatable)
+//   --config <file>           Scoring config to evaluate (default SCORING_CONFIG)
+//   --detector <tiny|ssd>     Detector backend (default DETECTOR)
+//   --input-size <n>          Tiny detector input size
+//   --score-threshold <n>     Detector confidence threshold
+//   --search                  Also search for better weights
+//   --trials <n>              Candidates tried per profile (default 2000)
+//   --holdout <fraction>      Share of faces kept out of the search (default 0.25)
+//   --seed <n>                Seed for the holdout split and search (default 1)
+//   --json <file>             Write the full report as JSON
+//   --write-config <file>     Write the config with the suggested weights (JSON or YAML)
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const config = require('../lib/config');
+const { loadModels } = require('../lib/models');
+const { getProfile, listProfiles } = require('../lib/scoring');
+const { resolveDetector } = require('../lib/detector');
+const scoringSettings = require('../lib/profiles/settings');
+const { readLabels, collectFaces, evaluateProfile, searchWeights } = require('../lib/evaluation');
+
+const USAGE = 'Usage: npm run evaluate -- <images-dir> <labels.csv> [--profile name] [--config file] [--detector tiny|ssd] ' +
+  '[--input-size n] [--score-threshold n] [--search] [--trials n] [--holdout fraction] [--seed n] [--json file] [--write-config file]';
+
+function readOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      profile: { type: 'string', multiple: true },
+      config: { type: 'string' },
+      detector: { type: 'string' },
+      'input-size': { type: 'string' },
+      'score-threshold': { type: 'string' },
+      search: { type: 'boolean', default: false },
+      trials: { type: 'string', default: '2000' },
+      holdout: { type: 'string', default: '0.25' },
+      seed: { type: 'string', default: '1' },
+      json: { type: 'string' },
+      'write-config': { type: 'string' }
+    }
+  });
+  
+  if (positionals.length !== 2) {
+    throw new Error(USAGE);
+  }
+  
+  const profiles = values.profile || listProfiles();
+  profiles.forEach((name) => {
+    if (!getProfile(name)) throw new Error(`Unknown profile "${name}" (available: ${listProfiles().join(', ')})`);
+  });
+  
+  const trials = Number(values.trials);
+  const holdout = Number(values.holdout);
+  const seed = Number(values.seed);
+  if (!Number.isInteger(trials) || trials < 1) throw new Error('--trials must be a positive integer');
+  if (!(holdout >= 0 && holdout < 1)) throw new Error('--holdout must be at least 0 and below 1');
+  if (!Number.isInteger(seed)) throw new Error('--seed must be an integer');
+  if (values['write-config'] && !values.search) throw new Error('--write-config needs --search');
+  
+  return {
+    dir: positionals[0],
+    labelsFile: positionals[1],
+    profiles,
+    configFile: values.config || config.scoring.file,
+    detectorQuery: {
+      detector: values.detector,
+      inputSize: values['input-size'],
+      scoreThreshold: values['score-threshold']
+    },
+    search: values.search,
+    trials,
+    holdout,
+    seed,
+    jsonFile: values.json,
+    configOut: values['write-config']
+  };
+}
+
+function format(value) {
+  return value === null ? '   n/a' : value.toFixed(3).padStart(6);
+}
+
+function printSummary(summary, indent = '  ') {
+  const { confusion } = summary;
+  
+  console.log(`${indent}faces ${summary.faces}, no verdict ${summary.abstained} (pose or quality)`);
+  console.log(`${indent}accuracy ${format(summary.accuracy)}  precision ${format(summary.precision)}  ` +
+    `recall ${format(summary.recall)}  ROC-AUC ${format(summary.rocAuc)}`);
+  console.log(`${indent}                  predicted genuine  predicted posed`);
+  console.log(`${indent}labelled genuine  ${String(confusion.truePositive).padStart(17)}  ${String(confusion.falseNegative).padStart(15)}`);
+  console.log(`${indent}labelled posed    ${String(confusion.falsePositive).padStart(17)}  ${String(confusion.trueNegative).padStart(15)}`);
+}
+
+function printSearch(name, search) {
+  const { current, suggested } = search;
+  const holdout = (result) => (result.holdout ? format(result.holdout.rocAuc) : '   n/a');
+  
+  console.log(`\n🔧 ${name} weight search (${search.trials} trials, seed ${search.seed}, ` +
+    `${search.trainFaces} train / ${search.holdoutFaces} holdout faces)`);
+  console.log(`  ROC-AUC    train  holdout`);
+  console.log(`  current   ${format(current.train.rocAuc)}   ${holdout(current)}`);
+  console.log(`  suggested ${format(suggested.train.rocAuc)}   ${holdout(suggested)}`);
+  console.log(`  weights   ${Object.entries(suggested.weights).map(([key, value]) => `${key} ${value}`).join(', ')}`);
+  if (suggested.blend) {
+    console.log(`  blend     geometric ${suggested.blend.geometric}, ai ${suggested.blend.ai}`);
+  }
+  
+  if (current.holdout && suggested.holdout && !(suggested.holdout.rocAuc > current.holdout.rocAuc)) {
+    console.warn('  ⚠️  No gain on the holdout faces; the suggestion is likely overfitting this set');
+  }
+}
+
+// The evaluated config with each searched profile's suggested weights. The
+// version is marked so a deployed copy is told apart from the original.
+function writeConfig(file, settings, searches) {
+  const profiles = {};
+  Object.entries(settings.profiles).forEach(([name, profileSettings]) => {
+    const search = searches[name];
+    profiles[name] = search
+      ? { ...profileSettings, weights: search.suggested.weights, ...(search.suggested.blend ? { blend: search.suggested.blend } : {}) }
+      : profileSettings;
+  });
+  
+  const data = { version: `${settings.version}-tuned`, temporal: settings.temporal, profiles };
+  const errors = scoringSettings.validate(data);
+  if (errors.length > 0) {
+    throw new Error(`Suggested config is invalid: ${errors.join('; ')}`);
+  }
+  
+  fs.writeFileSync(file, /\.ya?ml$/i.test(file) ? YAML.stringify(data) : `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`💾 Wrote suggested scoring config ${data.version} to ${file}`);
+}
+
+async function main() {
+  const options = readOptions();
+  const settings = scoringSettings.readSettings(options.configFile);
+  const labels = readLabels(options.labelsFile);
+  
+  // Every profile scores the same detections, resolved like a request to
+  // /analyze, so differences come from the formulas alone.
+  const query = {};
+  Object.entries(options.detectorQuery).forEach(([key, value]) => {
+    if (value !== undefined) query[key] = value;
+  });
+  const detector = resolveDetector({ query }, getProfile('classic'));
+  
+  config.modelCdnFallback = false;
+  await loadModels();
+  
+  console.log(`📋 ${labels.length} labelled face(s), scoring config ${settings.version} from ${options.configFile}`);
+  let done = 0;
+  const { faces, unmatched } = await collectFaces(options.dir, labels, {
+    detector,
+    profiles: options.profiles,
+    settings,
+    onImage: () => {
+      done++;
+      if (done % 25 === 0) console.log(`🔍 ${done} image(s) processed`);
+    }
+  });
+  
+  if (unmatched.length > 0) {
+    console.warn(`⚠️  ${unmatched.length} label(s) skipped:`);
+    unmatched.forEach((row) => console.warn(`   ${row.image}${row.face === null ? '' : ` face ${row.face}`}: ${row.reason}`));
+  }
+  if (faces.length === 0) {
+    throw new Error('No labelled face could be scored');
+  }
+  
+  const report = { scoringVersion: settings.version, detector, faces: faces.length, unmatched, profiles: {} };
+  const searches = {};
+  
+  options.profiles.forEach((name) => {
+    const summary = evaluateProfile(faces, name);
+    report.profiles[name] = summary;
+    
+    console.log(`\n🎯 ${name}`);
+    printSummary(summary);
+  });
+  
+  if (options.search) {
+    options.profiles.forEach((name) => {
+      searches[name] = searchWeights(faces, name, settings.profiles[name], options);
+      report.profiles[name].search = searches[name];
+      printSearch(name, searches[name]);
+    });
+  }
+  
+  if (options.jsonFile) {
+    fs.writeFileSync(options.jsonFile, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`💾 Wrote report to ${options.jsonFile}`);
+  }
+  if (options.configOut) {
+    writeConfig(options.configOut, settings, searches);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
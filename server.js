@@ -1,314 +1,55 @@
-const express = require('express');
-const cors = require('cors');
-const rateLimit = require('express-rate-limit');
-const NodeCache = require('node-cache');
-const faceapi = require('@vladmandic/face-api');
-const canvas = require('canvas');
-const tf = require('@tensorflow/tfjs-node');
-const crypto = require('crypto');
+const config = require('./lib/config');
+const app = require('./lib/app');
+const pool = require('./lib/pool');
+const counters = require('./lib/counters');
+const cache = require('./lib/cache');
+const scoringSettings = require('./lib/profiles/settings');
+const { attachStream } = require('./lib/stream');
 
-const { Canvas, Image, ImageData } = canvas;
-faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
-
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-const cache = new NodeCache({ stdTTL: 3600, checkperiod: 120 });
-
-let totalCount = 0; // Starting baseline
-
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
-  credentials: false
-}));
-
-app.options('*', cors());
-
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 50,
-  message: { error: 'Too many requests, please try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use('/analyze', limiter);
-app.use(express.json({ limit: '10mb' }));
-
-let modelsLoaded = false;
-let requestCount = 0;
-let cacheHits = 0;
-let totalProcessingTime = 0;
-
-async function loadModels() {
-  if (modelsLoaded) {
-    console.log('Models already loaded');
-    return;
-  }
-  
-  console.log('Loading AI models...');
-  const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model';
-  
-  try {
-    await Promise.all([
-      faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-      faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-      faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL),
-    ]);
-    
-    modelsLoaded = true;
-    console.log('✅ Models loaded successfully');
-  } catch (error) {
-    console.error('❌ Failed to load models:', error);
-    throw error;
-  }
-}
-
-function calculateEyeConstriction(landmarks) {
-  const leftEye = landmarks.getLeftEye();
-  const rightEye = landmarks.getRightEye();
-  
-  const leftEyeWidth = Math.abs(leftEye[3].x - leftEye[0].x);
-  const leftEyeHeight = Math.abs(leftEye[1].y - leftEye[5].y);
-  const rightEyeWidth = Math.abs(rightEye[3].x - rightEye[0].x);
-  const rightEyeHeight = Math.abs(rightEye[1].y - rightEye[5].y);
-  
-  const leftAspectRatio = leftEyeWidth / leftEyeHeight;
-  const rightAspectRatio = rightEyeWidth / rightEyeHeight;
-  const avgAspectRatio = (leftAspectRatio + rightAspectRatio) / 2;
-  
-  const eyeConstriction = Math.max(0, Math.min(1, (avgAspectRatio - 3) / 3));
-  
-  return Math.round(eyeConstriction * 100);
-}
-
-function calculateCheekRaise(landmarks) {
-  const leftEye = landmarks.getLeftEye();
-  const rightEye = landmarks.getRightEye();
-  const nose = landmarks.getNose();
-  const mouth = landmarks.getMouth();
-  
-  const leftEyeBottom = leftEye[4].y;
-  const rightEyeBottom = rightEye[4].y;
-  const avgEyeBottom = (leftEyeBottom + rightEyeBottom) / 2;
-  
-  const noseBridge = nose[0].y;
-  const upperLip = mouth[14].y;
-  
-  const faceHeight = upperLip - noseBridge;
-  const eyeToNose = avgEyeBottom - noseBridge;
-  
-  const cheekRaise = eyeToNose / faceHeight;
-  const normalized = Math.max(0, Math.min(1, cheekRaise * 1.5));
-  
-  return Math.round(normalized * 100);
-}
-
-function calculateMouthCurve(landmarks) {
-  const mouth = landmarks.getMouth();
-  
-  const leftCorner = mouth[0];
-  const rightCorner = mouth[6];
-  const topCenter = mouth[14];
-  const bottomCenter = mouth[18];
-  
-  const mouthWidth = Math.abs(rightCorner.x - leftCorner.x);
-  const mouthHeight = Math.abs(bottomCenter.y - topCenter.y);
-  
-  const aspectRatio = mouthWidth / mouthHeight;
-  const normalized = Math.max(0, Math.min(1, (aspectRatio - 2) / 3));
-  
-  return Math.round(normalized * 100);
-}
-
-function calculateSymmetry(landmarks) {
-  const jaw = landmarks.getJawOutline();
-  const nose = landmarks.getNose();
-  
-  const centerX = nose[3].x;
-  
-  let leftDistance = 0;
-  let rightDistance = 0;
-  
-  for (let i = 0; i < jaw.length / 2; i++) {
-    leftDistance += Math.abs(jaw[i].x - centerX);
-    rightDistance += Math.abs(jaw[jaw.length - 1 - i].x - centerX);
-  }
-  
-  const symmetryRatio = Math.min(leftDistance, rightDistance) / Math.max(leftDistance, rightDistance);
-  
-  return Math.round(symmetryRatio * 100);
-}
-
-function hashImage(base64Data) {
-  return crypto.createHash('md5').update(base64Data).digest('hex');
-}
-
-app.get('/count', (req, res) => {
-  res.json({ count: totalCount });
-});
-
-// NEW INCREMENT ENDPOINT
-app.post('/count/increment', (req, res) => {
-  totalCount++;
-  console.log(`📊 Count incremented to: ${totalCount}`);
-  res.json({ count: totalCount, success: true });
-});
-
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'RealSmile API Server',
-    modelsLoaded,
-    totalAnalyses: totalCount,
-    stats: {
-      totalRequests: requestCount,
-      cacheHits: cacheHits,
-      cacheHitRate: requestCount > 0 ? ((cacheHits / requestCount) * 100).toFixed(1) + '%' : '0%',
-      avgProcessingTime: requestCount > 0 ? (totalProcessingTime / requestCount).toFixed(2) + 'ms' : '0ms'
-    }
-  });
-});
+console.log('🚀 Starting server...');
+// A broken scoring config stops startup; later edits that fail validation
+// are logged and the running config is kept.
+scoringSettings.current();
+scoringSettings.watch();
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', modelsLoaded });
+counters.init().catch(err => {
+  console.error('❌ Failed to open counter store:', err);
 });
-
-app.post('/analyze', async (req, res) => {
-  const startTime = Date.now();
-  requestCount++;
-  
-  console.log(`📸 Analysis request #${requestCount} from ${req.ip}`);
-  
-  try {
-    const { image } = req.body;
-    
-    if (!image) {
-      console.log('❌ No image in request body');
-      return res.status(400).json({ error: 'No image provided' });
-    }
-    
-    console.log(`📊 Image size: ${Math.round(image.length / 1024)}KB`);
-    
-    const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-    const imageHash = hashImage(base64Data);
-    const cachedResult = cache.get(imageHash);
-    
-    if (cachedResult) {
-      cacheHits++;
-      console.log(`✅ Cache hit! (${cacheHits}/${requestCount})`);
-      return res.json(cachedResult);
-    }
-    
-    console.log('🔄 Loading models...');
-    await loadModels();
-    
-    console.log('🖼️  Processing image...');
-    const buffer = Buffer.from(base64Data, 'base64');
-    const img = new Image();
-    img.src = buffer;
-    
-    console.log('🔍 Detecting faces...');
-    
-    const detections = await faceapi
-      .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions({
-        inputSize: 512,
-        scoreThreshold: 0.5
-      }))
-      .withFaceLandmarks()
-      .withFaceExpressions();
-    
-    const processingTime = Date.now() - startTime;
-    totalProcessingTime += processingTime;
-    
-    console.log(`✅ Found ${detections.length} face(s) in ${processingTime}ms`);
-    
-    if (!detections || detections.length === 0) {
-      console.log('⚠️  No faces detected');
-      return res.json({ people: [] });
-    }
-    
-    const people = detections.map((detection) => {
-      const landmarks = detection.landmarks;
-      const expressions = detection.expressions;
-      const box = detection.detection.box;
-      
-      const eyeConstriction = calculateEyeConstriction(landmarks);
-      const cheekRaise = calculateCheekRaise(landmarks);
-      const mouthCurve = calculateMouthCurve(landmarks);
-      const symmetry = calculateSymmetry(landmarks);
-      
-      const happiness = expressions.happy || 0;
-      
-      const geometricScore = (
-        eyeConstriction * 0.25 +
-        cheekRaise * 0.25 +
-        mouthCurve * 0.35 +
-        symmetry * 0.15
-      );
-      
-      const aiScore = happiness * 100;
-      
-      const blendedScore = (geometricScore * 0.4) + (aiScore * 0.6);
-      const finalScore = Math.round(blendedScore);
-      
-      const isGenuine = finalScore >= 55 || happiness > 0.5;
-      
-      const verdict = isGenuine 
-        ? finalScore >= 75 ? "Genuine Joy! 😄" : "Real Smile 😊"
-        : finalScore >= 35 ? "Polite Smile 😐" : "Fake Smile! 😬";
-      
-      return {
-        score: finalScore,
-        isGenuine,
-        verdict,
-        metrics: {
-          eyeConstriction,
-          cheekRaise,
-          mouthCurve,
-          symmetry
-        },
-        boundingBox: {
-          x: box.x / img.width,
-          y: box.y / img.height,
-          width: box.width / img.width,
-          height: box.height / img.height
-        }
-      };
-    });
-    
-    const result = { people };
-    
-    totalCount += people.length;
-    console.log(`📊 Total count: ${totalCount}`);
-    
-    cache.set(imageHash, result);
-    console.log(`💾 Cached result`);
-    
-    res.json(result);
-    
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error(`❌ Analysis error after ${processingTime}ms:`, error);
-    res.status(500).json({ 
-      error: 'Analysis failed', 
-      message: error.message 
-    });
-  }
+cache.init().catch(err => {
+  console.error('❌ Failed to open cache store:', err);
 });
 
-console.log('🚀 Starting server...');
-loadModels().then(() => {
+pool.start().then(() => {
   console.log('✅ Startup complete');
 }).catch(err => {
   console.error('❌ Failed to preload models:', err);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`💰 Rate limit: 50 requests per 15 minutes per IP`);
-  console.log(`💾 Cache enabled: 1 hour TTL`);
-  console.log(`📊 Total analyses: ${totalCount}`);
+const server = app.listen(config.port, () => {
+  console.log(`🚀 Server running on port ${config.port}`);
+  console.log(`📜 API: /v1, described at /openapi.json (response validation: ${config.api.responseValidation})`);
+  console.log(`💰 Anonymous access: ${config.auth.anonymousAccess ? `${config.rateLimit.max} requests per 15 minutes per IP` : 'disabled'}`);
+  console.log(`💾 Cache: ${config.cache.backend}, ${config.cache.ttlSeconds}s TTL${config.cache.nearDuplicate ? ', near duplicates' : ''}`);
+  console.log(`🎯 Scoring profile: ${config.scoringProfile || 'per route (classic /v1 and /analyze, v2 /api/analyze)'}`);
+  console.log(`🎛️  Scoring config: ${scoringSettings.current().version} (${config.scoring.file}, hot reload)`);
+  console.log(`🔎 Face detector: ${config.detector.backend}`);
+  console.log(`🧵 Inference: ${config.workers.size > 0 ? `${config.workers.size} worker(s), queue of ${config.workers.maxQueue}` : 'main thread'}`);
+  if (!config.calibration.secret) {
+    console.warn('⚠️  CALIBRATION_SECRET not set: calibration tokens will stop working on restart');
+  }
+  console.log(`📡 Live stream: ws://localhost:${config.port}/stream`);
+  console.log(`📊 Counter store: ${config.counters.backend}`);
 });
+
+attachStream(server);
+
+// Railway sends SIGTERM on redeploys and restarts; flush counters first.
+const shutdown = (signal) => {
+  console.log(`👋 ${signal} received, shutting down...`);
+  server.close();
+  scoringSettings.unwatch();
+  Promise.allSettled([counters.close(), cache.close(), pool.close()]).finally(() => process.exit(0));
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
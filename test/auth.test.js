@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The counter store reads its location from the environment when config is
+// first loaded, so point it at a scratch directory before requiring auth.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realsmile-auth-'));
+process.env.COUNTER_STORE = 'file';
+process.env.COUNTER_FILE = path.join(dir, 'counters.json');
+
+const counters = require('../lib/counters');
+const { dayKey } = require('../lib/dates');
+const { charge, remainingToday } = require('../lib/auth');
+
+test.after(async () => {
+  await counters.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('charge returns what is left of the daily quota', async () => {
+  const apiKey = { id: 'remaining', dailyQuota: 5 };
+  
+  assert.equal(await charge(apiKey, 2), 3);
+  assert.equal(await charge(apiKey, 3), 0);
+  assert.equal(await remainingToday(apiKey), 0);
+});
+
+test('charge rejects an overdraw with a 429 and takes it back', async () => {
+  const apiKey = { id: 'overdraw', dailyQuota: 3 };
+  await charge(apiKey, 2);
+  
+  await assert.rejects(charge(apiKey, 2), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.error, 'Daily quota exceeded');
+    assert.match(error.message, /1 of 3 images left/);
+    return true;
+  });
+  assert.equal(await remainingToday(apiKey), 1);
+  assert.equal(await charge(apiKey, 1), 0);
+});
+
+test('charge lets only the requests that fit through when they arrive together', async () => {
+  const apiKey = { id: 'burst', dailyQuota: 3 };
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => charge(apiKey, 1)));
+  
+  assert.equal(results.filter(({ status }) => status === 'fulfilled').length, 3);
+  assert.equal(results.filter(({ status }) => status === 'rejected').length, 2);
+  assert.equal(await remainingToday(apiKey), 0);
+});
+
+test('charge records usage but returns null for keys without a quota', async () => {
+  const apiKey = { id: 'unlimited', dailyQuota: null };
+  
+  assert.equal(await charge(apiKey, 4), null);
+  assert.equal(await remainingToday(apiKey), null);
+  
+  const [{ fields }] = await counters.getFields('usage', [dayKey()]);
+  assert.equal(fields['unlimited:requests'], 1);
+  assert.equal(fields['unlimited:images'], 4);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Tokens are signed with CALIBRATION_SECRET, read when config first loads.
+// Knowing it lets the tests forge tokens the server would have issued.
+const SECRET = 'test-calibration-secret';
+process.env.CALIBRATION_SECRET = SECRET;
+process.env.CALIBRATION_TTL_DAYS = '30';
+
+const { createToken, readToken, resolveCalibration } = require('../lib/calibration');
+
+const baselines = { classic: { mouthWidth: 0.42 }, v2: { mouthWidth: 0.41, eyeOpenness: 0.3 } };
+
+function forge(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function assertHttpError(fn, error) {
+  assert.throws(fn, (thrown) => {
+    assert.equal(thrown.status, 400);
+    assert.equal(thrown.error, error);
+    return true;
+  });
+}
+
+test('createToken round-trips through readToken', () => {
+  const { token, expiresAt } = createToken(baselines);
+  const days = (Date.parse(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+  
+  assert.deepEqual(readToken(token), baselines);
+  assert.ok(days > 29.9 && days <= 30);
+});
+
+test('readToken rejects a token whose payload was edited', () => {
+  const { token } = createToken(baselines);
+  const [, signature] = token.split('.');
+  const edited = Buffer.from(JSON.stringify({ v: 1, baselines: {}, exp: Date.now() + 60000 })).toString('base64url');
+  
+  assertHttpError(() => readToken(`${edited}.${signature}`), 'Invalid calibration token');
+});
+
+test('readToken rejects malformed tokens', () => {
+  const { token } = createToken(baselines);
+  
+  assertHttpError(() => readToken(''), 'Invalid calibration token');
+  assertHttpError(() => readToken('abc'), 'Invalid calibration token');
+  assertHttpError(() => readToken(`${token}.extra`), 'Invalid calibration token');
+  assertHttpError(() => readToken(token.slice(0, -1)), 'Invalid calibration token');
+});
+
+test('readToken rejects a signed token of another version', () => {
+  assertHttpError(() => readToken(forge({ v: 2, baselines, exp: Date.now() + 60000 })), 'Invalid calibration token');
+});
+
+test('readToken rejects an expired token', () => {
+  assertHttpError(() => readToken(forge({ v: 1, baselines, exp: Date.now() - 1000 })), 'Calibration token expired');
+});
+
+test('resolveCalibration reads the token from the query, body or header', () => {
+  const { token } = createToken(baselines);
+  const profile = { name: 'v2' };
+  const request = ({ query = {}, body = {}, header = null }) => ({ query, body, get: () => header });
+  
+  assert.deepEqual(resolveCalibration(request({ query: { calibration: token } }), profile), baselines.v2);
+  assert.deepEqual(resolveCalibration(request({ body: { calibration: token } }), profile), baselines.v2);
+  assert.deepEqual(resolveCalibration(request({ header: token }), profile), baselines.v2);
+  assert.equal(resolveCalibration(request({}), profile), null);
+});
+
+test('resolveCalibration rejects a token without a baseline for the profile', () => {
+  const { token } = createToken({ classic: baselines.classic });
+  const req = { query: { calibration: token }, body: {}, get: () => null };
+  
+  assert.throws(() => resolveCalibration(req, { name: 'v2' }), /no baseline for profile v2/);
+});
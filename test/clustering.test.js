@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { clusterFaces, summarizeClusters } = require('../lib/clustering');
+
+test('clusterFaces groups near descriptors and numbers clusters by first appearance', () => {
+  const faces = [
+    { photo: 0, descriptor: [0, 0] },
+    { photo: 0, descriptor: [5, 5] },
+    { photo: 1, descriptor: [5.1, 5] },
+    { photo: 1, descriptor: [0.1, 0] },
+    { photo: 2, descriptor: [10, 10] }
+  ];
+  
+  assert.deepEqual(clusterFaces(faces, 0.5), [1, 2, 2, 1, 3]);
+});
+
+test('clusterFaces never puts two faces from one photo in the same cluster', () => {
+  const faces = [
+    { photo: 0, descriptor: [0, 0] },
+    { photo: 0, descriptor: [0.1, 0] }
+  ];
+  
+  assert.deepEqual(clusterFaces(faces, 0.5), [1, 2]);
+});
+
+test('clusterFaces joins the nearest cluster and compares against its mean', () => {
+  const faces = [
+    { photo: 0, descriptor: [0, 0] },
+    { photo: 1, descriptor: [1, 0] },
+    { photo: 2, descriptor: [0.4, 0] },
+    { photo: 3, descriptor: [0.5, 0] }
+  ];
+  
+  // [0.4, 0] moves cluster 1's mean to [0.2, 0], so [0.5, 0] is then
+  // nearer cluster 1 (0.3) than cluster 2 (0.5), though both are in reach.
+  assert.deepEqual(clusterFaces(faces, 0.5), [1, 2, 1, 1]);
+});
+
+test('clusterFaces respects maxDistance', () => {
+  const faces = [
+    { photo: 0, descriptor: [0, 0] },
+    { photo: 1, descriptor: [0.6, 0] }
+  ];
+  
+  assert.deepEqual(clusterFaces(faces, 0.5), [1, 2]);
+  assert.deepEqual(clusterFaces(faces, 0.6), [1, 1]);
+});
+
+test('summarizeClusters aggregates scores, verdicts and metrics per cluster', () => {
+  const person = (score, isGenuine, metrics = { mouthWidth: 0.4 }) => ({ score, isGenuine, metrics });
+  const members = [
+    { cluster: 2, index: 1, face: 0, person: person(50, false) },
+    { cluster: 1, index: 0, id: 'a', face: 0, person: person(80, true, { mouthWidth: 0.5 }) },
+    { cluster: 1, index: 1, face: 1, person: person(71, false, { mouthWidth: 0.3 }) },
+    { cluster: 1, index: 2, face: 0, person: person(null, null, null) }
+  ];
+  
+  const [first, second] = summarizeClusters(members);
+  
+  assert.deepEqual(first, {
+    cluster: 1,
+    faces: 3,
+    appearances: [{ index: 0, id: 'a', face: 0 }, { index: 1, face: 1 }, { index: 2, face: 0 }],
+    bestScore: 80,
+    averageScore: 75.5,
+    genuine: 1,
+    genuineRate: 0.5,
+    metrics: { mouthWidth: 0.4 }
+  });
+  assert.equal(second.cluster, 2);
+  assert.equal(second.genuineRate, 0);
+});
+
+test('summarizeClusters leaves averages null when no face was scored', () => {
+  const [summary] = summarizeClusters([
+    { cluster: 1, index: 0, face: 0, person: { score: null, isGenuine: null, metrics: null } }
+  ]);
+  
+  assert.equal(summary.bestScore, null);
+  assert.equal(summary.averageScore, null);
+  assert.equal(summary.genuineRate, null);
+  assert.equal(summary.metrics, null);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/openapi/schema');
+
+const root = {
+  components: {
+    schemas: {
+      Point: {
+        type: 'object',
+        required: ['x', 'y'],
+        additionalProperties: false,
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'number', maximum: 1 }
+        }
+      },
+      Label: { type: 'string', minLength: 1, maxLength: 5, nullable: true }
+    }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+test('validate accepts a value that matches the schema', () => {
+  assert.deepEqual(validate(ref('Point'), { x: 2, y: 0.5 }, root), []);
+  assert.deepEqual(validate(ref('Label'), null, root), []);
+});
+
+test('validate reports missing, unknown and mistyped fields with their paths', () => {
+  assert.deepEqual(validate(ref('Point'), { y: 'a', z: 1 }, root, 'body'), [
+    { path: 'body.x', message: 'is required' },
+    { path: 'body.y', message: 'must be a number' },
+    { path: 'body.z', message: 'is not a known field' }
+  ]);
+});
+
+test('validate treats integers as numbers but not the other way round', () => {
+  assert.deepEqual(validate(ref('Point'), { x: 1.5, y: 1 }, root), [
+    { path: '.x', message: 'must be an integer' }
+  ]);
+});
+
+test('validate checks bounds, lengths, enums and item counts', () => {
+  const list = { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', enum: ['a', 'b'] } };
+  
+  assert.deepEqual(validate(ref('Point'), { x: -1, y: 2 }, root), [
+    { path: '.x', message: 'must be at least 0' },
+    { path: '.y', message: 'must be at most 1' }
+  ]);
+  assert.deepEqual(validate(ref('Label'), '', root), [{ path: '', message: 'must not be empty' }]);
+  assert.deepEqual(validate(ref('Label'), 'toolong', root), [{ path: '', message: 'must be at most 5 characters' }]);
+  assert.deepEqual(validate(list, [], root), [{ path: '', message: 'must have at least 1 item(s)' }]);
+  assert.deepEqual(validate(list, ['a', 'c', 'b'], root), [
+    { path: '', message: 'must have at most 2 item(s)' },
+    { path: '[1]', message: 'must be one of "a", "b"' }
+  ]);
+});
+
+test('validate checks additionalProperties given as a schema', () => {
+  const map = { type: 'object', additionalProperties: { type: 'integer' } };
+  
+  assert.deepEqual(validate(map, { a: 1, b: 'x' }, root), [{ path: '.b', message: 'must be an integer' }]);
+});
+
+test('validate applies every allOf part', () => {
+  const schema = { allOf: [ref('Point'), { type: 'object', required: ['x'] }] };
+  
+  assert.deepEqual(validate(schema, {}, root), [
+    { path: '.x', message: 'is required' },
+    { path: '.y', message: 'is required' },
+    { path: '.x', message: 'is required' }
+  ]);
+});
+
+test('validate needs exactly one oneOf option to match', () => {
+  const schema = { oneOf: [{ type: 'string' }, ref('Point')] };
+  const overlapping = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+  
+  assert.deepEqual(validate(schema, 'a', root), []);
+  assert.deepEqual(validate(schema, true, root), [{ path: '', message: 'does not match any allowed shape' }]);
+  assert.deepEqual(validate(overlapping, 3, root), [{ path: '', message: 'matches more than one allowed shape' }]);
+});
+
+test('validate reports a oneOf failure against the option of the same type', () => {
+  const schema = { oneOf: [{ type: 'string' }, ref('Point')] };
+  
+  assert.deepEqual(validate(schema, { x: 1 }, root, 'body'), [{ path: 'body.y', message: 'is required' }]);
+});
+
+test('validate throws on an unknown $ref', () => {
+  assert.throws(() => validate(ref('Missing'), {}, root), /Unknown schema reference/);
+});
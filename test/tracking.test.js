@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iou, trackFaces } = require('../lib/tracking');
+
+function face(x, y, size = 100) {
+  return { boundingBox: { x, y, width: size, height: size } };
+}
+
+test('iou is 1 for identical boxes and 0 for disjoint ones', () => {
+  const box = { x: 0, y: 0, width: 10, height: 10 };
+  
+  assert.equal(iou(box, box), 1);
+  assert.equal(iou(box, { x: 20, y: 20, width: 10, height: 10 }), 0);
+  assert.equal(iou(box, { x: 5, y: 0, width: 10, height: 10 }), 50 / 150);
+});
+
+test('iou is 0 for empty boxes', () => {
+  const empty = { x: 0, y: 0, width: 0, height: 0 };
+  
+  assert.equal(iou(empty, empty), 0);
+});
+
+test('trackFaces follows a moving face across frames', () => {
+  const frames = [[face(0, 0)], [face(10, 0)], [face(20, 0)]];
+  const tracks = trackFaces(frames);
+  
+  assert.equal(tracks.length, 1);
+  assert.deepEqual(tracks[0].map((point) => point.frame), [0, 1, 2]);
+});
+
+test('trackFaces keeps two faces apart and matches the best overlap first', () => {
+  const frames = [
+    [face(0, 0), face(300, 0)],
+    [face(310, 0), face(5, 0)]
+  ];
+  const tracks = trackFaces(frames);
+  
+  assert.equal(tracks.length, 2);
+  assert.equal(tracks[0][1].face, frames[1][1]);
+  assert.equal(tracks[1][1].face, frames[1][0]);
+});
+
+test('trackFaces starts a new track when the overlap is below minIoU', () => {
+  const tracks = trackFaces([[face(0, 0)], [face(90, 0)]], { minIoU: 0.3 });
+  
+  assert.equal(tracks.length, 2);
+});
+
+test('trackFaces bridges gaps up to maxGap frames only', () => {
+  const bridged = trackFaces([[face(0, 0)], [], [], [], [face(0, 0)]], { maxGap: 4 });
+  const broken = trackFaces([[face(0, 0)], [], [], [], [face(0, 0)]], { maxGap: 3 });
+  
+  assert.equal(bridged.length, 1);
+  assert.deepEqual(bridged[0].map((point) => point.frame), [0, 4]);
+  assert.equal(broken.length, 2);
+});